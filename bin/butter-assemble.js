@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+'use strict';
+
+// modules
+const assemble        = require('../');
+const _               = require('lodash');
+const chalk           = require('chalk');
+const config          = require('../lib/butter-config');
+const del             = require('del');
+const minimist        = require('minimist');
+const path            = require('path');
+const log             = console.log.bind(console);
+
+
+/**
+ * Command line arguments
+ * @type {Object}
+ */
+const argv = minimist(process.argv.slice(2), {
+    string: ['config', 'dest', 'layout', 'host'],
+    boolean: ['verbose', 'help'],
+    alias: { c: 'config', d: 'dest', l: 'layout', p: 'port', v: 'verbose', h: 'help' }
+});
+
+
+/**
+ * Usage information
+ * @type {String}
+ */
+const usage = `
+Usage: butter-assemble <command> [options]
+
+Commands:
+  build         Assemble views, materials, data, and docs into dest (default)
+  watch         Build, then rebuild incrementally as sources change
+  serve         Build, watch, and serve dest with live reload
+  clean         Delete dest
+  inspect       Print the resolved options and assembly as JSON
+  impact <id>   List the materials affected by a change to a material
+
+Options:
+  -c, --config  Config file (default: butter.config.js, .butterrc.json, or "butter" in package.json)
+  -d, --dest    Location to write files
+  -l, --layout  Default layout
+  -v, --verbose Log errors and every written file
+  -p, --port    Port to serve on (serve; default: 3000)
+  --host        Host to serve on (serve; default: localhost)
+  -h, --help    Show this message
+`;
+
+
+/**
+ * Print an error and mark the process as failed
+ * @param  {Object} e
+ */
+const fail = function (e) {
+    console.error(chalk.bold.red('Error (butter-assemble): ' + e.message));
+    process.exitCode = 1;
+};
+
+
+/**
+ * Merge the config file with command line flags; flags win
+ * @param  {Object} options Options from the config file
+ * @return {Object}
+ */
+const resolveOptions = function (options) {
+    let flags = _.pickBy({
+        dest: argv.dest,
+        layout: argv.layout,
+        logErrors: (argv.verbose) ? true : undefined
+    }, function (value) {
+        return value !== undefined;
+    });
+
+    return _.merge({}, options, flags);
+};
+
+
+/**
+ * Print the files of a build summary
+ * @param  {Object} result
+ */
+const report = function (result) {
+    if (argv.verbose) {
+        result.files.forEach(function (file) {
+            log(chalk.gray('  ' + file));
+        });
+    }
+
+    log(chalk.green('butter-assemble wrote ' + result.files.length + ' file(s) to ' + result.dest));
+};
+
+
+/**
+ * Commands
+ * @type {Object}
+ */
+const commands = {
+
+    build: function (options) {
+        return assemble(options).then(report);
+    },
+
+    watch: function (options) {
+        let watcher = assemble.watch(options);
+
+        watcher.on('rebuild', function (files) {
+            if (files) {
+                log(chalk.gray('rebuilding: ' + files.join(', ')));
+            }
+        });
+        watcher.on('done', report);
+        watcher.on('error', function () {
+            // already logged with `--verbose`; keep watching
+            if (!options.logErrors) {
+                log(chalk.red('build failed; run with --verbose for details'));
+            }
+        });
+        watcher.on('ready', function () {
+            log(chalk.green('butter-assemble watching for changes'));
+        });
+    },
+
+    serve: function (options) {
+        return assemble.serve(options, {
+            port: (argv.port !== undefined) ? Number(argv.port) : undefined,
+            host: argv.host
+        }).then(function (server) {
+            log(chalk.green('butter-assemble serving ' + server.url));
+
+            server.watcher.on('rebuild', function (files) {
+                if (files) {
+                    log(chalk.gray('rebuilding: ' + files.join(', ')));
+                }
+            });
+            server.watcher.on('error', function () {
+                if (!options.logErrors) {
+                    log(chalk.red('build failed; run with --verbose for details'));
+                }
+            });
+        });
+    },
+
+    clean: function (options) {
+        let assembler = assemble.createAssembler(options);
+
+        return del([assembler.options.dest]).then(function (deleted) {
+            log(chalk.green('butter-assemble deleted ' + path.normalize(assembler.options.dest)));
+
+            if (argv.verbose) {
+                deleted.forEach(function (file) {
+                    log(chalk.gray('  ' + file));
+                });
+            }
+        });
+    },
+
+    inspect: function (options) {
+        let assembler = assemble.createAssembler(options);
+
+        return assembler.setup().then(function () {
+            log(JSON.stringify({
+                options: _.omitBy(assembler.options, _.isFunction),
+                assembly: assembler.assembly
+            }, null, 2));
+        });
+    },
+
+    impact: function (options) {
+        let assembler = assemble.createAssembler(options);
+        let id = argv._[1];
+
+        if (!id) {
+            throw new Error('Usage: butter-assemble impact <material>');
+        }
+
+        return assembler.setup().then(function () {
+            let impacted = assembler.impacted(String(id));
+
+            log(chalk.green(impacted.length + ' material(s) affected by a change to ' + id));
+
+            impacted.forEach(function (material) {
+                log('  ' + material);
+            });
+        });
+    }
+
+};
+
+
+let command = argv._[0] || 'build';
+
+if (argv.help) {
+    log(usage);
+} else if (!commands.hasOwnProperty(command)) {
+    console.error(chalk.red('Unknown command: ' + command));
+    log(usage);
+    process.exitCode = 1;
+} else {
+    config.load(process.cwd(), argv.config).then(function (loaded) {
+        if (argv.verbose && loaded.file) {
+            log(chalk.gray('using config ' + loaded.file));
+        }
+
+        return commands[command](resolveOptions(loaded.options));
+    }).catch(fail);
+}
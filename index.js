@@ -2,18 +2,29 @@
 
 // modules
 const dna             = require('./lib/butter-dna');
+const docsRenderer    = require('./lib/butter-docs');
+const errors          = require('./lib/butter-error');
 const _               = require('lodash');
 const beautifyHtml    = require('js-beautify').html;
+const blocks          = require('./lib/butter-blocks');
 const chalk           = require('chalk');
+const embed           = require('./lib/butter-embed');
 const fs              = require('fs');
-const globby          = require('globby');
+const graph           = require('./lib/butter-graph');
+const io              = require('./lib/butter-io');
 const Handlebars      = require('handlebars');
+const highlight       = require('./lib/butter-highlight');
 const inflect         = require('i')();
+const manifest        = require('./lib/butter-manifest');
 const matter          = require('gray-matter');
-const md              = require('markdown-it')({ html: true, linkify: true });
-const mkdirp          = require('mkdirp');
+const markdownIt      = require('markdown-it');
 const path            = require('path');
+const props           = require('./lib/butter-props');
+const refs            = require('./lib/butter-refs');
+const serve           = require('./lib/butter-server');
 const sortObj         = require('sort-object');
+const validate        = require('./lib/butter-schema');
+const watch           = require('./lib/butter-watch');
 const yaml            = require('js-yaml');
 const exc             = require('butter-assemble-exclude');
 const log             = console.log.bind(console);
@@ -95,6 +106,18 @@ const defaults = {
         indent_with_tabs: false
     },
 
+    /**
+     * User-defined Handlebars helpers
+     * @type {Object}
+     */
+    helpers: {},
+
+    /**
+     * Functions called at points during assembly (see README)
+     * @type {Object}
+     */
+    hooks: {},
+
     /**
      * Function to call when an error occurs
      * @type {Function}
@@ -108,62 +131,78 @@ const defaults = {
     logErrors: false,
 
     /**
-     * Dependency object
-     * @type {Object}
+     * Stop at the first error. When false, the remaining files are still built
+     * and every failure is reported together at the end.
+     * @type {Boolean}
      */
-    dna: {},
-
-    baseurl: '/'
-};
-
-
-/**
- * Merged defaults and user options
- * @type {Object}
- */
-let options = {};
+    bail: true,
 
+    /**
+     * Fail the build on unknown options instead of warning about them
+     * @type {Boolean}
+     */
+    strict: false,
 
-/**
- * Assembly data storage
- * @type {Object}
- */
-const assembly = {
     /**
-     * Contents of each layout file
+     * Checks of material calls against their props; `strict` fails the view on a problem instead of warning about it
      * @type {Object}
      */
-    layouts: {},
+    props: {
+        strict: false
+    },
 
     /**
-     * Parsed JSON data from each data file
+     * Dependency scanning; `attributes` lists attributes matched against `dna` selectors besides `id`, `class` and `data-dna`
      * @type {Object}
      */
-    data: {},
+    dna: {
+        attributes: []
+    },
 
     /**
-     * Meta data for materials, grouped by "collection" (sub-directory); contains name and sub-items
-     * @type {Object}
+     * URL of a live reload client script to inject into pages rendered through a layout.
+     * Set by the development server.
+     * @type {String}
      */
-    materials: {},
+    livereload: null,
 
     /**
-     * Each material's front-matter data
-     * @type {Object}
+     * Write a JSON manifest of the assembly to `dest`; `true` writes `manifest.json`, a string sets the file name
+     * @type {(Boolean|String)}
      */
-    materialData: {},
+    manifest: false,
 
     /**
-     * Meta data for user-created views (views in views/{subdir})
-     * @type {Object}
+     * Generate a standalone preview page per material; `true` uses the settings below
+     * @type {(Boolean|Object)}
      */
-    views: {},
+    previews: false,
 
     /**
-     * Meta data (name, sub-items) for doc file
+     * markdown-it settings for notes, docs and markdown views, plus the `plugins` to use;
+     * `highlight` is a markdown-it highlight function, `true` for the built-in highlighter or `false` for none
      * @type {Object}
      */
-    docs: {}
+    markdown: {
+        html: true,
+        linkify: true,
+        highlight: true,
+        plugins: []
+    },
+
+    /**
+     * Give each material item its code for "view code" panels; `false` leaves it out, an object turns parts off (see below)
+     * @type {(Boolean|Object)}
+     */
+    code: true,
+
+    /**
+     * Write the material dependency graph (JSON, DOT and an HTML report) to this directory in `dest`; `true` uses `dependencies`
+     * @type {(Boolean|String)}
+     */
+    graph: false,
+
+    baseurl: '/'
 };
 
 
@@ -186,72 +225,113 @@ const getName = function (filePath, preserveNumbers) {
 /**
  * Attempt to read front matter, handle errors
  * @param  {String} file Path to file
- * @return {Object}
+ * @return {Object} Promise resolving to the gray-matter object
  */
 const getMatter = function (file) {
-    return matter.read(file, {
-        parser: require('js-yaml').safeLoad
+    return io.readFile(file).then(function (content) {
+        let fileMatter;
+
+        try {
+            fileMatter = matter(content, {
+                parser: yaml.safeLoad
+            });
+        } catch (e) {
+            // front-matter starts below the opening `---`
+            throw errors.create(e, { file: file, source: content, offset: 1 });
+        }
+
+        fileMatter.path = file;
+
+        return fileMatter;
     });
 };
 
+/**
+ * Read a material's front-matter with the file's modification time as `mtime`, for the dna cache.
+ * The time is taken before reading, so it's never newer than the content.
+ * @param  {String} file Path to the material
+ * @return {Object} Promise resolving to the gray-matter object
+ */
+const getMaterialMatter = function (file) {
+    return io.stat(file).then(function (stats) {
+        return getMatter(file).then(function (fileMatter) {
+            fileMatter.mtime = stats.mtime.getTime();
+            return fileMatter;
+        });
+    });
+};
 
 /**
- * Handle errors
- * @param  {Object} e Error object
+ * Get the partial a material id or key refers to
+ * @param  {String} name
+ * @return {String}
+ * @example
+ * 'toggles.01-primary' -> 'toggles.primary'
+ * 'forms.01-inputs.02-text' -> 'forms.inputs.text'
  */
-const handleError = function (e) {
-
-    // default to exiting process on error
-    let exit = true;
-
-    // construct error object by combining argument with defaults
-    let error = _.assign({}, {
-        name: 'Error',
-        reason: '',
-        message: 'An error occurred'
-    }, e);
-
-    // call onError
-    if (_.isFunction(options.onError)) {
-        options.onError(error);
-        exit = false;
-    }
+const partialName = function (name) {
+    // partials are always registered with the leading numbers of each collection and file name removed
+    return name.replace(/(^|\.)(\d+[\-\.])+/g, '$1');
+};
 
-    // log errors
-    if (options.logErrors) {
-        console.error(chalk.bold.red('Error (butter-assemble): ' + e.message + '\n'), e.stack);
-        exit = false;
-    }
 
-    // break the build if desired
-    if (exit) {
-        console.error(chalk.bold.red('Error (butter-assemble): ' + e.message + '\n'), e.stack);
-        process.exit(1);
-    }
+/**
+ * Find the directory of the globs a file was found by
+ * @param  {(String|Array)} patterns
+ * @param  {String} file
+ * @return {String} The deepest glob base containing the file; its directory when none does
+ * @example
+ * (['src/views/**\/*', '!src/views/layouts/**'], 'src/views/pages/home.html') -> 'src/views'
+ */
+const globRoot = function (patterns, file) {
+    let roots = _.castArray(patterns).filter(function (pattern) {
+        return pattern.charAt(0) !== '!';
+    }).map(io.base);
+
+    // the deepest root wins when globs overlap
+    let root = _.maxBy(roots.filter(function (dir) {
+        return path.relative(dir, file).split(path.sep)[0] !== '..';
+    }), 'length');
 
+    return (root !== undefined) ? root : path.dirname(file);
 };
 
 
 /**
- * Build the template context by merging context-specific data with assembly data
- * @param  {Object} data
- * @param {Object} hash
+ * Sort collections and their items by `order`, then alphabetically, at every depth
+ * @param  {Object} collections Collections keyed by directory name
  * @return {Object}
  */
-const buildContext = function (data, hash) {
+const sortCollections = function (collections) {
+    collections = sortObj(collections, 'order');
 
-    // set keys to whatever is defined
-    let materials = {};
-    materials[options.keys.materials] = assembly.materials;
+    _.forEach(collections, function (collection) {
+        if (collection.items) {
+            collection.items = sortCollections(collection.items);
+        }
+    });
 
-    let views = {};
-    views[options.keys.views] = assembly.views;
+    return collections;
+};
 
-    let docs = {};
-    docs[options.keys.docs] = assembly.docs;
 
-    return _.assign({}, data, assembly.data, assembly.materialData, materials, views, docs, hash);
+/**
+ * Sort docs and doc collections among their siblings: by `order`, then by name with its number prefix, at every depth
+ * @param  {Object} items Docs and collections keyed by name
+ * @param  {Map} order `[order, name]` of each entry
+ * @return {Object}
+ */
+const sortDocs = function (items, order) {
+    return _.fromPairs(_.sortBy(_.toPairs(items), [
+        function (pair) { return order.get(pair[1])[0]; },
+        function (pair) { return order.get(pair[1])[1]; }
+    ]).map(function (pair) {
+        if (pair[1].items) {
+            pair[1].items = sortDocs(pair[1].items, order);
+        }
 
+        return pair;
+    }));
 };
 
 
@@ -272,618 +352,2645 @@ const getSerial = function (id) {
 
 
 /**
- * Insert the page into a layout
+ * Insert the page into a layout and the layouts it extends, filling their `{% block %}`s
  * @param  {String} page
- * @param  {String} layout
+ * @param  {Array} layouts Contents of the page's layout and the layouts it extends, nearest first
+ * @param  {String} livereload URL of a live reload client to inject (optional)
  * @return {String}
  */
-const wrapPage = function (page, layout) {
-    return layout.replace(/\{\%\s?body\s?\%\}/, page);
+const wrapPage = function (page, layouts, livereload) {
+    let html = blocks.compose(page, layouts);
+
+    if (!livereload) {
+        return html;
+    }
+
+    // inject the client before the closing body tag, or at the end of the document
+    let script = '<script src="' + livereload + '"></script>';
+    return (/<\/body>/i.test(html)) ? html.replace(/<\/body>(?![\s\S]*<\/body>)/i, script + '\n</body>') : html + script;
 };
 
 
 /**
- * Parse each material - collect data, create partial
+ * Whether a view is written in markdown
+ * @param  {String} file
+ * @return {Boolean}
  */
-const parseMaterials = function () {
+const isMarkdown = function (file) {
+    return /\.(md|markdown)$/i.test(file);
+};
 
-    // reset object
-    assembly.materials = {};
 
-    // get files and dirs
-    let files = globby.sync(options.materials, { nodir: true, nosort: true });
+/**
+ * Settings used for material previews when `previews` is `true`
+ * @type {Object}
+ */
+const previewDefaults = {
+    /**
+     * ID of the layout for preview pages; falls back to `options.layout` when it doesn't exist
+     * @type {String}
+     */
+    layout: 'preview',
 
-    // build a glob for identifying directories
-    options.materials = (typeof options.materials === 'string') ? [options.materials] : options.materials;
-    let dirsGlob = options.materials.map(function (pattern) {
-        return path.dirname(pattern) + '/*/';
-    });
+    /**
+     * Directory in `dest` to write preview pages to
+     * @type {String}
+     */
+    dest: 'materials',
 
-    // get all directories
-    // do a new glob; trailing slash matches only dirs
-    let dirs = globby.sync(dirsGlob).map(function (dir) {
-        return path.normalize(dir).split(path.sep).slice(-2, -1)[0];
-    });
+    /**
+     * Generate previews for `__` prefixed (hidden) materials too
+     * @type {Boolean}
+     */
+    hidden: false
+};
 
-    // get hooks
-    let hooks = options.hooks || {};
 
+/**
+ * Code given to each material item when `code` is `true`
+ * @type {Object}
+ */
+const codeDefaults = {
     /**
-     * Hook -> beforeMaterials
-     * @description Allows for user injection before the materials are parsed.
+     * Handlebars source, without front-matter
+     * @type {Boolean}
      */
-    if (typeof hooks.beforeMaterials === 'function') {
-        files = hooks.beforeMaterials(options, {files: files}) || files;
-    }
+    source: true,
 
-    // stub out an object for each collection and subCollection
-    files.forEach(function (file) {
-        let parent = getName(path.normalize(path.dirname(file)).split(path.sep).slice(-2, -1)[0], true);
-        let collection = getName(path.normalize(path.dirname(file)).split(path.sep).pop(), true);
-        let isSubCollection = (dirs.indexOf(parent) > -1);
+    /**
+     * HTML rendered with the material's own data
+     * @type {Boolean}
+     */
+    html: true,
 
-        // get the material base dir for stubbing out the base object for each category (e.g. component, structure)
-        let materialBase = (isSubCollection) ? parent : collection;
+    /**
+     * The rendered HTML, escaped to show as text
+     * @type {Boolean}
+     */
+    escaped: true,
 
-        // stub the base object
-        assembly.materials[materialBase] = assembly.materials[materialBase] || {
-                name: toTitleCase(getName(materialBase)),
-                items: {},
-                data: getMatter(file)
-            };
+    /**
+     * Path of the material file relative to the materials root
+     * @type {Boolean}
+     */
+    path: true
+};
 
-        if (isSubCollection) {
-            assembly.materials[parent].items[collection] = assembly.materials[parent].items[collection] || {
-                    name: toTitleCase(getName(collection)),
-                    items: {},
-                    data: getMatter(file)
-                };
-        }
 
-    });
+/**
+ * Resolve a file path so globbed and watched paths can be compared
+ * @param  {String} file
+ * @return {String}
+ */
+const resolvePath = function (file) {
+    return path.resolve(file);
+};
 
-    // iterate over each file (material)
-    files.forEach(function (file) {
 
-        // get info
-        let fileMatter         = getMatter(file);
-        let collection         = getName(path.normalize(path.dirname(file)).split(path.sep).pop(), true);
-        let parent             = path.normalize(path.dirname(file)).split(path.sep).slice(-2, -1)[0];
-        let isSubCollection    = (dirs.indexOf(parent) > -1);
-        let id                 = (isSubCollection) ? getName(collection) + '.' + getName(file) : getName(file);
-        let key                = (isSubCollection) ? collection + '.' + getName(file, true) : getName(file, true);
-        let serial             = getSerial(id);
+/**
+ * Create an isolated assembler
+ * @param  {Object} userOptions User options
+ * @return {Object} Assembler with its own options, assembly store, and Handlebars environment
+ */
+const createAssembler = function (userOptions) {
 
-        // get material front-matter, omit `notes`
-        let localData    = dna(file, files, _.omit(fileMatter.data, 'notes'));
+    /**
+     * Merged defaults and user options
+     * @type {Object}
+     */
+    const options = _.merge({}, defaults, userOptions);
 
-        // trim whitespace from material content
-        let content = fileMatter.content.replace(/^(\s*(\r?\n|\r))+|(\s*(\r?\n|\r))+$/g, '');
 
-        // capture meta data for the material
-        if (!isSubCollection) {
-            assembly.materials[collection].items[key] = {
-                name: toTitleCase(id),
-                serial: serial,
-                notes: (fileMatter.data.notes) ? md.render(fileMatter.data.notes) : '',
-                data: localData
-            };
-        } else {
-            assembly.materials[parent].items[collection].items[key] = {
-                name: toTitleCase(id.split('.')[1]),
-                serial: serial,
-                notes: (fileMatter.data.notes) ? md.render(fileMatter.data.notes) : '',
-                data: localData
-            };
-        }
+    /**
+     * Problems found in the user options; errors fail `setup()`, warnings are logged once
+     * @type {Object}
+     */
+    const validation = validate(userOptions);
 
+    validation.warnings.forEach(function (warning) {
+        console.warn(chalk.yellow('Warning (butter-assemble): ' + warning));
+    });
 
-        // store material-name-spaced local data in template context
-        assembly.materialData[id.replace(/\./g, '-')] = localData;
 
+    /**
+     * Isolated Handlebars environment; partials and helpers never leak between assemblers
+     * @type {Object}
+     */
+    const handlebars = Handlebars.create();
 
-        // replace local fields on the fly with name-spaced keys
-        // this allows partials to use local front-matter data
-        // only affects the compilation environment
-        if (!_.isEmpty(localData)) {
-            _.forEach(localData, function (val, key) {
-                // {{field}} => {{material-name.field}}
-                let regex = new RegExp('(\\{\\{[#\/]?)(\\s?' + key + '+?\\s?)(\\}\\})', 'g');
-                content = content.replace(regex, function (match, p1, p2, p3) {
-                    return p1 + id.replace(/\./g, '-') + '.' + p2.replace(/\s/g, '') + p3;
-                });
-            });
-        }
 
+    /**
+     * Assembly data storage
+     * @type {Object}
+     */
+    const assembly = {
         /**
-         * Hook -> materials
-         * @description Allows user injection after the content is read.
+         * Contents of each layout file
+         * @type {Object}
          */
-        if (typeof hooks.materials === 'function') {
-            content = hooks.materials(options, {
-                    materialData    : assembly.materialData,
-                    materials       : assembly.materials,
-                    content         : content,
-                    files           : files,
-                    id              : id
-                }) || content;
-        }
+        layouts: {},
 
-        // register the partial
-        id = (id.substr(0, 2) === '__') ? id.substr(2) : id;
-        Handlebars.registerPartial(id, content);
-
-    });
+        /**
+         * Parsed JSON data from each data file
+         * @type {Object}
+         */
+        data: {},
 
+        /**
+         * Meta data for materials, grouped by "collection" (sub-directory); contains name and sub-items
+         * @type {Object}
+         */
+        materials: {},
 
-    // sort materials object alphabetically
-    assembly.materials = sortObj(assembly.materials, 'order');
+        /**
+         * Each material's front-matter data
+         * @type {Object}
+         */
+        materialData: {},
 
-    for (let collection in assembly.materials) {
-        assembly.materials[collection].items = sortObj(assembly.materials[collection].items, 'order');
-    }
+        /**
+         * Meta data for user-created views (views in views/{subdir}), nested like their directories
+         * @type {Object}
+         */
+        views: {},
 
-};
+        /**
+         * Meta data (name, sub-items) for doc file
+         * @type {Object}
+         */
+        docs: {}
+    };
 
 
-/**
- * Parse markdown files as "docs"
- */
-const parseDocs = function () {
+    /**
+     * Files read by the last parse of each type; used to route incremental rebuilds
+     * @type {Object}
+     */
+    const sources = {
+        layouts: [],
+        layoutIncludes: [],
+        data: [],
+        materials: [],
+        views: [],
+        docs: []
+    };
 
-    // reset
-    assembly.docs = {};
 
-    // get files
-    let files = globby.sync(options.docs, { nodir: true });
+    /**
+     * Records of materials, views and docs (keyed by file), and layouts and layout includes (keyed by id), for the manifest
+     * @type {Object}
+     */
+    const records = {
+        materials: {},
+        views: {},
+        docs: {},
+        layouts: {},
+        includes: {}
+    };
 
-    // get hooks
-    let hooks = options.hooks || {};
 
     /**
-     * Hook -> beforeDocs
-     * @description Allows for user injection before the docs are parsed.
+     * Each material by partial id: the name-space of its local data, its variants, its props and its Handlebars source
+     * @type {Object}
      */
-    if (typeof hooks.beforeDocs === 'function') {
-        files = hooks.beforeDocs(options, {files: files, docs: assembly.docs}) || files;
-    }
-
-    // iterate over each file (docs)
-    files.forEach(function (file) {
+    const registry = {};
 
-        let id = getName(file);
-        let content = md.render(fs.readFileSync(file, 'utf-8'));
 
-        /**
-         * Hook -> docs
-         * @description Allows user injection after the content is read.
-         */
-        if (typeof hooks.docs === 'function') {
-            content = hooks.docs(options, {
-                    docs: assembly.docs,
-                    content: content,
-                    files: files,
-                    id: id
-                }) || content;
-        }
+    /**
+     * Parsed materials for the dependency index, kept across rebuilds and keyed by file
+     * @type {Object}
+     */
+    const dnaCache = {};
 
-        // save each as unique prop
-        assembly.docs[id] = {
-            name: toTitleCase(id),
-            content: content
-        };
-    });
-};
 
+    /**
+     * Renders notes, docs, markdown views and the `markdown` helper; created by `setup()` once the options are valid
+     * @type {Object}
+     */
+    let md = null;
 
-/**
- * Parse layout files
- */
-const parseLayouts = function () {
 
-    // reset
-    assembly.layouts = {};
+    /**
+     * Dependency index of the last parse of the materials (see lib/butter-dna)
+     * @type {Object}
+     */
+    let dependencies = null;
 
-    // get files
-    let files = globby.sync(options.layouts, { nodir: true });
 
-    // get hooks
-    let hooks = options.hooks || {};
+    /**
+     * The view being rendered, for messages about the materials it calls
+     * @type {String}
+     */
+    let rendering = null;
 
 
     /**
-     * Hook -> beforeLayout
-     * @description Allows for user injection before the layouts are parsed.
+     * Failures recorded during the current build when `bail` is off
+     * @type {Array}
      */
-    if (typeof hooks.beforeLayout === 'function') {
-        files = hooks.beforeLayout(options, {files: files, layouts: assembly.layouts}) || files;
-    }
+    const failures = [];
 
 
-    // save content of each file
-    files.forEach(function (file) {
-        let id = getName(file);
-        let content = fs.readFileSync(file, 'utf-8');
-
-        /**
-         * Hook -> layout
-         * @description Allows user injection after the content is read.
-         */
-        if (typeof hooks.layout === 'function') {
-            content = hooks.layout(options, {
-                    layouts: assembly.layouts,
-                    content: content,
-                    files: files,
-                    id: id
-                }) || content;
+    /**
+     * Handle errors
+     * @param  {Object} e Error object
+     */
+    const handleError = function (e) {
+
+        // construct error object by combining argument with defaults
+        let error = _.assign({}, {
+            name: 'Error',
+            reason: '',
+            message: 'An error occurred'
+        }, _.pick(e, ['name', 'message', 'stack']), e);
+
+        // call onError
+        if (_.isFunction(options.onError)) {
+            options.onError(error);
         }
 
-        assembly.layouts[id] = content;
-    });
+        // log errors
+        if (options.logErrors) {
+            console.error(errors.format(e));
+        }
 
-};
+    };
 
 
-/**
- * Register layout includes has Handlebars partials
- */
-const parseLayoutIncludes = function () {
+    /**
+     * Stop the build with an error, or record it and keep going when `bail` is off
+     * @param  {Object} error AssemblyError
+     */
+    const record = function (error) {
+        if (options.bail) {
+            throw error;
+        }
 
-    // get files
-    let files = globby.sync(options.layoutIncludes, { nodir: true });
+        failures.push(error);
+    };
 
-    // get hooks
-    let hooks = options.hooks || {};
 
     /**
-     * Hook -> beforeLayoutIncludes
-     * @description Allows for user injection before the layout includes are parsed.
+     * Run a synchronous step for a single source file, turning failures into AssemblyErrors
+     * @param  {String} phase `layout`, `data`, `material`, `view` or `doc`
+     * @param  {String} file
+     * @param  {String} source Content of the file, for code frames
+     * @param  {Function} fn
      */
-    if (typeof hooks.beforeLayoutIncludes === 'function') {
-        files = hooks.beforeLayoutIncludes(options, {files: files}) || files;
-    }
-
-    // save content of each file
-    files.forEach(function (file) {
-        let id = getName(file);
-        let content = fs.readFileSync(file, 'utf-8');
-
-        /**
-         * Hook -> layoutIncludes
-         * @description Allows user injection after the include content is read.
-         */
-        if (typeof hooks.layoutIncludes === 'function') {
-            content = hooks.layoutIncludes(options, {
-                    content: content,
-                    files: files,
-                    id: id
-                }) || content;
+    const guard = function (phase, file, source, fn) {
+        try {
+            fn();
+        } catch (e) {
+            record(errors.create(e, { phase: phase, file: file, source: source }));
         }
+    };
 
-        Handlebars.registerPartial(id, content);
-    });
-
-};
 
+    /**
+     * Run an asynchronous step for a single source file, turning failures into AssemblyErrors
+     * @param  {String} phase `layout`, `data`, `material`, `view` or `doc`
+     * @param  {String} file
+     * @param  {Function} fn Returns a value or a promise
+     * @return {Object} Promise resolving to the step's value; `undefined` if it failed and `bail` is off
+     */
+    const attempt = function (phase, file, fn) {
+        return Promise.resolve().then(fn).catch(function (e) {
+            record(errors.create(e, { phase: phase, file: file }));
+        });
+    };
 
-/**
- * Parse data files and save JSON
- */
-const parseData = function () {
 
-    // reset
-    assembly.data = {};
+    /**
+     * Reject with every recorded failure once a build is finished
+     * @param  {Object} result Summary of the written files
+     * @return {Object} result
+     */
+    const finish = function (result) {
+        if (failures.length > 0) {
+            throw new errors.AggregateAssemblyError(failures.slice(), result);
+        }
 
-    // get files
-    let files = globby.sync(options.data, { nodir: true });
+        return result;
+    };
 
-    // get hooks
-    let hooks = options.hooks || {};
 
     /**
-     * Hook -> beforeData
-     * @description Allows for user injection before the data is parsed.
+     * Build the template context by merging context-specific data with assembly data
+     * @param  {Object} data
+     * @param {Object} hash
+     * @return {Object}
      */
-    if (typeof hooks.beforeData === 'function') {
-        files = hooks.beforeData(options, {files: files, data: assembly.data}) || files;
-    }
-
-    // save content of each file
-    files.forEach(function (file) {
-        let id = getName(file);
-        let content = yaml.safeLoad(fs.readFileSync(file, 'utf-8'));
+    const buildContext = function (data, hash) {
 
-        /**
-         * Hook -> data
-         * @description Allows user injection after the data is read.
-         */
-        if (typeof hooks.data === 'function') {
-            content = hooks.data(options, {
-                    data: assembly.data,
-                    content: content,
-                    files: files,
-                    id: id
-                }) || content;
-        }
+        // set keys to whatever is defined
+        let materials = {};
+        materials[options.keys.materials] = assembly.materials;
 
-        assembly.data[id] = content;
-    });
+        let views = {};
+        views[options.keys.views] = assembly.views;
 
-};
+        let docs = {};
+        docs[options.keys.docs] = assembly.docs;
 
+        return _.assign({}, data, assembly.data, assembly.materialData, materials, views, docs, hash);
 
-/**
- * Get meta data for templates
- */
-const parseTemplates = function () {
+    };
 
-    // reset
-    assembly.views = {};
 
-    // get files
-    let files = globby.sync(options.views, { nodir: true });
+    /**
+     * Read each source file of a phase
+     * @param  {String} phase
+     * @param  {Array} files
+     * @return {Object} Promise resolving to an Array of contents; `undefined` for files that failed
+     */
+    const readSources = function (phase, files) {
+        return Promise.all(files.map(function (file) {
+            return attempt(phase, file, io.readFile.bind(null, file));
+        }));
+    };
 
-    // get hooks
-    let hooks = options.hooks || {};
 
     /**
-     * Hook -> beforeViews
-     * @description Allows for user injection before the views are parsed.
+     * Get the preview settings
+     * @return {Object} null when previews are off
      */
-    if (typeof hooks.beforeTemplates === 'function') {
-        files = hooks.beforeTemplates(options, {files: files}) || files;
-    }
-
-    files.forEach(function (file) {
+    const previewOptions = function () {
+        if (!options.previews) {
+            return null;
+        }
 
-        let id = getName(file, true);
+        return _.assign({}, previewDefaults, (_.isPlainObject(options.previews)) ? options.previews : {});
+    };
 
-        // determine if view is part of a collection (subdir)
-        let dirname = path.normalize(path.dirname(file)).split(path.sep).pop(),
-            collection = (dirname !== options.keys.views) ? dirname : '';
 
-        let fileMatter = getMatter(file),
-            fileData = _.omit(fileMatter.data, 'notes');
+    /**
+     * Get the code settings
+     * @return {Object} Which parts of their code material items get
+     */
+    const codeOptions = function () {
+        if (!options.code) {
+            return _.mapValues(codeDefaults, _.constant(false));
+        }
+
+        return _.assign({}, codeDefaults, (_.isPlainObject(options.code)) ? options.code : {});
+    };
+
+
+    /**
+     * Get the path of a material's preview page, relative to dest
+     * @param  {Array} collection Collection directory names
+     * @param  {String} file Path to the material
+     * @return {String} null when previews are off or the material is hidden and skipped
+     * @example
+     * (['01-components', '01-alerts'], '.../primary.html') -> 'materials/components/alerts/primary.html'
+     */
+    const previewPath = function (collection, file) {
+        let settings = previewOptions();
+
+        if (!settings || (!settings.hidden && getName(file).substr(0, 2) === '__')) {
+            return null;
+        }
+
+        let parts = collection.map(function (dir) { return getName(dir); });
+        let name = getName(file).replace(/^__/, '');
+
+        return [settings.dest].concat(parts, [name + '.html']).join('/');
+    };
+
+
+    /**
+     * Find the partials, helpers and data keys a template references
+     * @param  {(String|Object)} template Handlebars source or AST
+     * @return {Object} See lib/butter-refs
+     */
+    const scanReferences = function (template) {
+        return refs.scan(template, {
+            helpers: _.keys(handlebars.helpers),
+            material: inflect.singularize(options.keys.materials),
+            resolve: partialName
+        });
+    };
+
+
+    /**
+     * Find where a material sits in the materials tree.
+     * The first directory under the materials root is the collection; deeper directories nest inside it.
+     * Ids and keys join the nested directories and the file name with dots, without and with their number prefixes.
+     * @param  {String} file Path to the material
+     * @return {Object}
+     * - collection `Array` Directory names from the collection down, numbers included
+     * - id `String` e.g. `forms.inputs.text`
+     * - key `String` Key in the collection's `items`, e.g. `forms.01-inputs.02-text`
+     * - hidden `Boolean` Whether the file name starts with `__`
+     * - partial `String` Partial name: the id without the `__` prefix
+     * @example
+     * 'materials/01-components/forms/01-inputs/02-text.html' -> collection ['01-components', 'forms', '01-inputs']
+     */
+    const locateMaterial = function (file) {
+        let dirs = path.relative(globRoot(options.materials, file), path.dirname(file)).split(path.sep).filter(Boolean).map(function (dir) {
+            return getName(dir, true);
+        });
+
+        // materials directly in the root are collected under the root's name
+        dirs = (dirs.length > 0) ? dirs : [getName(path.dirname(file), true)];
+
+        let nested = dirs.slice(1);
+        let hidden = (getName(file).substr(0, 2) === '__');
+        let id = nested.map(function (dir) { return getName(dir); }).concat(getName(file)).join('.');
+
+        return {
+            collection: dirs,
+            id: id,
+            key: nested.concat(getName(file, true)).join('.'),
+            hidden: hidden,
+            partial: (hidden) ? id.replace(/__([^.]*)$/, '$1') : id
+        };
+    };
+
+
+    /**
+     * Find where a view sits under the views root
+     * @param  {String} file Path to the view
+     * @return {Object}
+     * - collection `Array` Directory names between the views root and the view; empty for views in the root
+     * - filePath `String` Where the view is written, mirroring its path under the views root
+     * @example
+     * 'src/views/pages/blog/2024/post.html' -> collection ['pages', 'blog', '2024'], filePath 'dist/pages/blog/2024/post.html'
+     */
+    const locateView = function (file) {
+        let relative = path.relative(globRoot(options.views, file), file);
+        let collection = path.dirname(relative).split(path.sep).filter(function (dir) {
+            return dir !== '.';
+        });
+
+        return {
+            collection: collection,
+            filePath: path.normalize(path.join(options.dest, relative))
+        };
+    };
+
+
+    /**
+     * Find a collection in the materials tree, stubbing it and its parents when needed
+     * @param  {Array} dirs Directory names from the collection down (see `locateMaterial`)
+     * @param  {Object} data Front-matter of a material in the collection
+     * @return {Object} The collection, with its `name`, `items` and `data`
+     */
+    const materialCollection = function (dirs, data) {
+        return dirs.reduce(function (items, dir, i) {
+            let node = (i === 0) ? items : items.items;
+
+            node[dir] = node[dir] || {
+                name: toTitleCase(getName(dir)),
+                items: {},
+                data: data
+            };
+
+            return node[dir];
+        }, assembly.materials);
+    };
+
+
+    /**
+     * Get the partial id of a material; used to link materials in the dependency helix and graph
+     * @param  {String} file Path to the material
+     * @return {String}
+     */
+    const materialId = function (file) {
+        return locateMaterial(file).partial;
+    };
+
+
+    /**
+     * Build the meta data of each variant declared in a material's front-matter
+     * @param  {String} id Material id
+     * @param  {Object} declared The `variants` front-matter; each variant's data overrides the material's
+     * @param  {Object} localData The material's own local data
+     * @param  {String} preview Path of the material's preview page (optional)
+     * @return {Object} Variants (`name`, `serial`, `notes`, `data`, `preview`) keyed by variant name; notes are filled in by `renderNotes`
+     * @example
+     * variants:
+     *   disabled:
+     *     disabled: true
+     *     notes: Shown when the form can't be submitted
+     */
+    const getVariants = function (id, declared, localData, preview) {
+
+        if (declared === undefined || declared === null) {
+            return {};
+        }
+
+        if (!_.isPlainObject(declared) || !_.every(declared, _.isPlainObject)) {
+            throw new Error('"variants" should map each variant name to an object of data overrides');
+        }
+
+        return _.mapValues(declared, function (overrides, variant) {
+            return {
+                name: toTitleCase(variant),
+                serial: getSerial(id + '--' + variant),
+                notes: '',
+                data: _.assign({}, localData, _.omit(overrides, 'notes')),
+                preview: (preview) ? preview.replace(/\.html$/, '--' + variant + '.html') : null
+            };
+        });
+
+    };
+
+
+    /**
+     * Check the values a material is called with against its declared props.
+     * Problems are logged as warnings, or thrown with `props.strict`.
+     * @param  {String} id Partial id of the material
+     * @param  {Object} values Context the material is rendered with
+     * @param  {Object} hash Hash arguments of the call
+     * @param  {Boolean} report Report the problems; `false` only gets the defaults (default `true`)
+     * @return {Object} Defaults of the props that have no value
+     */
+    const checkProps = function (id, values, hash, report) {
+
+        let material = registry[id];
+
+        if (!material || _.isEmpty(material.props)) {
+            return {};
+        }
+
+        let result = props.check(material.props, values, hash);
+
+        if (report !== false && result.problems.length > 0) {
+            let caller = (rendering) ? ' in view ' + rendering : '';
+            let messages = result.problems.map(function (problem) {
+                return 'Material "' + id + '"' + caller + ': ' + problem;
+            });
+
+            if (options.props.strict) {
+                throw new Error(messages.join('\n'));
+            }
+
+            messages.forEach(function (message) {
+                console.warn(chalk.yellow('Warning (butter-assemble): ' + message));
+            });
+        }
+
+        return result.defaults;
+
+    };
+
+
+    /**
+     * Wrap a material with declared props so `{{> partial}}` calls are checked and get the defaults
+     * @param  {String} id Partial id of the material
+     * @param  {String} content Handlebars source
+     * @return {Function} Partial
+     */
+    const propsPartial = function (id, content) {
+
+        let template = handlebars.compile(content);
+
+        return function (context, opts) {
+
+            // only partial calls; the `material` helper checks its own arguments
+            if (opts && opts.partial) {
+                let defaults = checkProps(id, context, opts.hash);
+                context = (_.isEmpty(defaults)) ? context : _.assign({}, defaults, context);
+            }
+
+            return template(context, opts);
+        };
+
+    };
+
+
+    /**
+     * Store a material's meta data and register it as a partial
+     * @param  {String} file Path to the material
+     * @param  {Object} fileMatter The material's gray-matter object
+     * @param  {Object} localData The material's front-matter (minus `notes`) with dna helix data
+     */
+    const registerMaterial = function (file, fileMatter, localData) {
+
+        // get hooks
+        let hooks = options.hooks || {};
+
+        // get info
+        let location           = locateMaterial(file);
+        let collection         = location.collection;
+        let id                 = location.id;
+        let key                = location.key;
+        let serial             = getSerial(id);
+
+        // trim whitespace from material content
+        let content = fileMatter.content.replace(/^(\s*(\r?\n|\r))+|(\s*(\r?\n|\r))+$/g, '');
+
+        // the source as written, before local fields are name-spaced
+        let source = content;
+
+        // where the material's preview page goes, relative to dest
+        let preview = previewPath(collection, file);
+
+        // states of the material, each with its own data
+        let materialVariants = getVariants(id, fileMatter.data.variants, localData, preview);
+
+        // what the material can be called with
+        let materialProps = props.normalize(fileMatter.data.props);
+
+        // what "view code" panels show; the rendered HTML is filled in by `renderCode`
+        let code = codeOptions();
+
+        // capture meta data for the material
+        let item = {
+            name: toTitleCase(_.last(id.split('.'))),
+            serial: serial,
+            notes: '',
+            data: localData,
+            preview: preview,
+            variants: materialVariants,
+            props: materialProps
+        };
+
+        if (code.source) {
+            item.source = source;
+        }
+
+        if (code.path) {
+            item.path = path.relative(globRoot(options.materials, file), file).split(path.sep).join('/');
+        }
+
+        materialCollection(collection, fileMatter).items[key] = item;
+
+
+        // store material-name-spaced local data in template context
+        assembly.materialData[id.replace(/\./g, '-')] = localData;
+
+
+        // replace local fields on the fly with name-spaced keys
+        // this allows partials to use local front-matter data
+        // only affects the compilation environment
+        // fields only set by variants are name-spaced too
+        let localKeys = _.union(_.keys(localData), _.flatMap(materialVariants, function (variant) {
+            return _.keys(variant.data);
+        }));
+
+        if (!_.isEmpty(localKeys)) {
+            localKeys.forEach(function (key) {
+                // {{field}} => {{material-name.field}}
+                let regex = new RegExp('(\\{\\{[#\/]?)(\\s?' + key + '+?\\s?)(\\}\\})', 'g');
+                content = content.replace(regex, function (match, p1, p2, p3) {
+                    return p1 + id.replace(/\./g, '-') + '.' + p2.replace(/\s/g, '') + p3;
+                });
+            });
+        }
+
+        /**
+         * Hook -> materials
+         * @description Allows user injection after the content is read.
+         */
+        if (typeof hooks.materials === 'function') {
+            content = hooks.materials(options, {
+                    materialData    : assembly.materialData,
+                    materials       : assembly.materials,
+                    content         : content,
+                    files           : sources.materials,
+                    id              : id
+                }) || content;
+        }
+
+        // catch syntax errors now, while the material's own lines are known
+        let ast;
+
+        try {
+            ast = handlebars.parse(content);
+        } catch (e) {
+            throw errors.create(e, {
+                phase: 'material',
+                file: file,
+                source: fileMatter.orig,
+                offset: errors.lineOffset(fileMatter.orig, content)
+            });
+        }
+
+        // register the partial
+        let namespace = id.replace(/\./g, '-');
+        let references = scanReferences(ast);
+        let hidden = location.hidden;
+
+        // its own name-spaced local data isn't a dependency
+        references.data = _.without(references.data, namespace);
+        item.references = references;
+
+        id = location.partial;
+        handlebars.registerPartial(id, (_.isEmpty(materialProps)) ? content : propsPartial(id, content));
+
+        registry[id] = {
+            namespace: namespace,
+            variants: materialVariants,
+            props: materialProps,
+            source: source
+        };
+
+        records.materials[file] = {
+            id: id,
+            key: key,
+            name: toTitleCase(getName(file)),
+            serial: serial,
+            file: file,
+            collection: collection,
+            hidden: hidden,
+            data: _.omit(fileMatter.data, ['notes', 'variants', 'props']),
+            notes: '',
+            embeds: [],
+            dependencies: _.pick(localData.helix || {}, ['dependents', 'dependency']),
+            preview: preview,
+            variants: materialVariants,
+            props: materialProps,
+            references: references
+        };
+
+    };
+
+
+    /**
+     * Render the notes of a material and its variants.
+     * Notes may embed other materials, so they're rendered once every material is registered.
+     * @param  {String} file Path to the material
+     * @param  {Object} fileMatter The material's gray-matter object
+     */
+    const renderNotes = function (file, fileMatter) {
+
+        // materials that failed to register have nothing to fill in
+        if (!records.materials[file]) {
+            return;
+        }
+
+        let location = locateMaterial(file);
+        let item = materialCollection(location.collection, fileMatter).items[location.key];
+        let env = {};
+        let notes = (fileMatter.data.notes) ? md.render(fileMatter.data.notes, env) : '';
+
+        item.notes = notes;
+        records.materials[file].notes = notes;
+
+        // variants are shared by the item, the record and the registry
+        _.forEach(item.variants, function (variant, name) {
+            let overrides = fileMatter.data.variants[name];
+            variant.notes = (overrides.notes) ? md.render(overrides.notes, env) : '';
+        });
+
+        // the materials the notes embed, to render them again when those change
+        records.materials[file].embeds = _.sortBy(_.uniq((env.embeds || []).map(partialName)));
+
+    };
+
+
+    /**
+     * Render a material with its own data for its item's `html` and `escaped` code.
+     * Props aren't checked, since nothing calls the material; props with a default get it.
+     * @param  {String} file Path to the material
+     */
+    const renderCode = function (file) {
+
+        let code = codeOptions();
+        let record = records.materials[file];
+
+        // hidden materials are left out of the tree anyway
+        if (!record || record.hidden || (!code.html && !code.escaped)) {
+            return;
+        }
+
+        let template = handlebars.partials[record.id];
+        let fn = (_.isFunction(template)) ? template : handlebars.compile(template);
+        let defaults = _.omitBy(_.mapValues(record.props, 'default'), _.isUndefined);
+        let item = materialCollection(record.collection).items[record.key];
+        let html = null;
+
+        // missing partials are already reported by `checkReferences`
+        let missing = _.some(record.references.partials, function (partial) {
+            return !handlebars.partials[partial];
+        });
+
+        // a material that only renders in context still builds; it just has no HTML to show
+        try {
+            html = (missing) ? null : beautifyHtml(fn(buildContext({}, defaults)).replace(/^\s+/, ''), options.beautifier);
+        } catch (e) {
+            console.warn(chalk.yellow('Warning (butter-assemble): Material "' + record.id + '" could not be rendered for its code: ' + e.message));
+        }
+
+        if (code.html) {
+            item.html = html;
+        }
+
+        if (code.escaped) {
+            item.escaped = (html === null) ? null : _.escape(html);
+        }
+
+    };
+
+
+    /**
+     * Find the materials that include any of some materials, directly or through others
+     * @param  {Array} ids Partial ids
+     * @return {Array} Records of the including materials
+     */
+    const includingMaterials = function (ids) {
+        let found = [];
+        let queue = ids.slice();
+
+        while (queue.length > 0) {
+            let id = queue.shift();
+
+            _.forEach(records.materials, function (record) {
+                let includes = record.references.dynamic || record.references.partials.indexOf(id) > -1;
+
+                if (includes && ids.indexOf(record.id) < 0 && found.indexOf(record) < 0) {
+                    found.push(record);
+                    queue.push(record.id);
+                }
+            });
+        }
+
+        return found;
+    };
+
+
+    /**
+     * Parse each material - collect data, create partial
+     * @return {Object} Promise
+     */
+    const parseMaterials = function () {
+
+        // reset objects
+        assembly.materials = {};
+        assembly.materialData = {};
+        records.materials = {};
+
+        _.keys(registry).forEach(function (id) {
+            delete registry[id];
+        });
+
+        options.materials = (typeof options.materials === 'string') ? [options.materials] : options.materials;
+
+        // get hooks
+        let hooks = options.hooks || {};
+
+        // get files
+        return io.glob(options.materials, { nodir: true, nosort: true }).then(function (files) {
+
+            /**
+             * Hook -> beforeMaterials
+             * @description Allows for user injection before the materials are parsed.
+             */
+            if (typeof hooks.beforeMaterials === 'function') {
+                files = hooks.beforeMaterials(options, {files: files}) || files;
+            }
+
+            // read the front-matter of every material once
+            return Promise.all(files.map(function (file) {
+                return attempt('material', file, getMaterialMatter.bind(null, file));
+            })).then(function (matters) {
+
+                let fileMatters = _.zipObject(files, matters);
+
+                // leave out materials that failed to parse
+                files = files.filter(function (file) {
+                    return fileMatters[file] !== undefined;
+                });
+
+                // tokenize each material for the dependency index
+                let entries = {};
+
+                files.forEach(function (file) {
+                    guard('material', file, fileMatters[file].orig, function () {
+                        entries[file] = dna.entry(file, fileMatters[file].orig, fileMatters[file], dnaCache);
+                        entries[file].mtime = fileMatters[file].mtime;
+                    });
+                });
+
+                // leave out materials that failed to tokenize
+                files = files.filter(function (file) {
+                    return entries[file] !== undefined;
+                });
+
+                // index the dependencies of every material in one pass
+                dependencies = dna.index(files.map(function (file) {
+                    return entries[file];
+                }), options.dna, materialId);
+
+                // forget materials that are gone
+                _.difference(_.keys(dnaCache), files).forEach(function (file) {
+                    delete dnaCache[file];
+                });
+
+                return {
+                    files: files,
+                    fileMatters: fileMatters,
+                    dnaData: _.zipObject(files, files.map(function (file) {
+                        return dna.apply(_.omit(fileMatters[file].data, ['notes', 'variants', 'props']), file, dependencies);
+                    }))
+                };
+            });
+
+        }).then(function (scan) {
+
+            let files = scan.files;
+
+            // remember what was parsed for incremental rebuilds
+            sources.materials = files;
+
+            // stub out an object for each collection and nested collection
+            files.forEach(function (file) {
+                materialCollection(locateMaterial(file).collection, scan.fileMatters[file]);
+            });
+
+            // iterate over each file (material)
+            files.forEach(function (file) {
+                guard('material', file, scan.fileMatters[file].orig, function () {
+                    registerMaterial(file, scan.fileMatters[file], scan.dnaData[file]);
+                });
+            });
+
+            // then their notes and code, which may embed or include any of them
+            files.forEach(function (file) {
+                guard('material', file, scan.fileMatters[file].orig, function () {
+                    renderNotes(file, scan.fileMatters[file]);
+                    renderCode(file);
+                });
+            });
+
+
+            // sort materials object alphabetically, at every depth
+            assembly.materials = sortCollections(assembly.materials);
+
+        });
+
+    };
+
+
+    /**
+     * Parse markdown files as "docs"
+     * @return {Object} Promise
+     */
+    const parseDocs = function () {
+
+        // reset
+        assembly.docs = {};
+        records.docs = {};
+
+        // get hooks
+        let hooks = options.hooks || {};
+
+        // get files
+        return io.glob(options.docs).then(function (files) {
+
+            /**
+             * Hook -> beforeDocs
+             * @description Allows for user injection before the docs are parsed.
+             */
+            if (typeof hooks.beforeDocs === 'function') {
+                files = hooks.beforeDocs(options, {files: files, docs: assembly.docs}) || files;
+            }
+
+            sources.docs = files;
+
+            return Promise.all(files.map(function (file) {
+                return attempt('doc', file, getMatter.bind(null, file));
+            })).then(function (matters) {
+
+                // how to order each entry of the tree among its siblings
+                let order = new Map();
+
+                // iterate over each file (docs)
+                files.forEach(function (file, i) {
+                    if (matters[i] === undefined) { return; }
+
+                    guard('doc', file, matters[i].orig, function () {
+                        let fileMatter = matters[i];
+                        let dirs = path.relative(globRoot(options.docs, file), path.dirname(file)).split(path.sep).filter(function (dir) {
+                            return dir && dir !== '.';
+                        });
+                        let key = getName(file);
+                        let id = dirs.map(function (dir) { return getName(dir); }).concat(key).join('.');
+                        let env = {};
+                        let rendered = docsRenderer.render(md, fileMatter.content, env);
+                        let content = rendered.content;
+
+                        /**
+                         * Hook -> docs
+                         * @description Allows user injection after the content is read.
+                         */
+                        if (typeof hooks.docs === 'function') {
+                            content = hooks.docs(options, {
+                                    docs: assembly.docs,
+                                    content: content,
+                                    files: files,
+                                    id: id
+                                }) || content;
+                        }
+
+                        let doc = {
+                            id: id,
+                            name: fileMatter.data.title || toTitleCase(key),
+                            content: content,
+                            toc: rendered.toc,
+                            headings: rendered.headings,
+                            category: fileMatter.data.category || null,
+                            order: (fileMatter.data.order === undefined) ? null : fileMatter.data.order,
+                            data: fileMatter.data,
+                            prev: null,
+                            next: null
+                        };
+
+                        records.docs[file] = {
+                            id: id,
+                            name: doc.name,
+                            file: file,
+                            collection: dirs,
+                            category: doc.category,
+                            order: doc.order,
+                            hidden: fileMatter.data.hidden === true,
+                            headings: doc.headings,
+                            embeds: _.sortBy(_.uniq((env.embeds || []).map(partialName))),
+                            prev: null,
+                            next: null
+                        };
+
+                        if (records.docs[file].hidden) {
+                            return;
+                        }
+
+                        // nest docs in subdirectories in collections, like views
+                        let items = dirs.reduce(function (parent, dir) {
+                            let name = getName(dir);
+
+                            parent[name] = _.defaults(parent[name] || {}, {
+                                name: toTitleCase(name),
+                                items: {}
+                            });
+
+                            if (!order.has(parent[name])) {
+                                order.set(parent[name], [Infinity, getName(dir, true)]);
+                            }
+
+                            return parent[name].items;
+                        }, assembly.docs);
+
+                        items[key] = _.assign(items[key] || {}, doc);
+                        order.set(items[key], [(_.isNumber(doc.order)) ? doc.order : Infinity, getName(file, true)]);
+                    });
+                });
+
+                assembly.docs = sortDocs(assembly.docs, order);
+
+                // link each doc to the ones before and after it, in order, through every collection
+                let sequence = [];
+                let walk = function (items) {
+                    _.forEach(items, function (item) {
+                        if (item.hasOwnProperty('content')) { sequence.push(item); }
+                        if (item.items) { walk(item.items); }
+                    });
+                };
+
+                walk(assembly.docs);
+
+                let file = _.invert(_.mapValues(records.docs, 'id'));
+
+                sequence.forEach(function (doc, i) {
+                    let link = function (other) {
+                        return (other) ? { id: other.id, name: other.name } : null;
+                    };
+
+                    doc.prev = link(sequence[i - 1]);
+                    doc.next = link(sequence[i + 1]);
+                    records.docs[file[doc.id]].prev = doc.prev;
+                    records.docs[file[doc.id]].next = doc.next;
+                });
+            });
+        });
+    };
+
+
+    /**
+     * Parse layout files
+     * @return {Object} Promise
+     */
+    const parseLayouts = function () {
+
+        // reset
+        assembly.layouts = {};
+        records.layouts = {};
+
+        // get hooks
+        let hooks = options.hooks || {};
+
+        // get files
+        return io.glob(options.layouts).then(function (files) {
+
+            /**
+             * Hook -> beforeLayout
+             * @description Allows for user injection before the layouts are parsed.
+             */
+            if (typeof hooks.beforeLayout === 'function') {
+                files = hooks.beforeLayout(options, {files: files, layouts: assembly.layouts}) || files;
+            }
+
+            sources.layouts = files;
+
+            return readSources('layout', files).then(function (contents) {
+
+                // save content of each file
+                files.forEach(function (file, i) {
+                    if (contents[i] === undefined) { return; }
+
+                    guard('layout', file, contents[i], function () {
+                        let id = getName(file);
+                        let content = contents[i];
+
+                        /**
+                         * Hook -> layout
+                         * @description Allows user injection after the content is read.
+                         */
+                        if (typeof hooks.layout === 'function') {
+                            content = hooks.layout(options, {
+                                    layouts: assembly.layouts,
+                                    content: content,
+                                    files: files,
+                                    id: id
+                                }) || content;
+                        }
+
+                        // front-matter names the layout it extends, and data for the pages using it
+                        let layoutMatter;
+
+                        try {
+                            layoutMatter = matter(content, { parser: yaml.safeLoad });
+                        } catch (e) {
+                            throw errors.create(e, { phase: 'layout', file: file, source: content, offset: 1 });
+                        }
+
+                        // layouts are compiled with every view; catch syntax errors against the layout itself
+                        let ast;
+
+                        try {
+                            ast = handlebars.parse(layoutMatter.content);
+                        } catch (e) {
+                            throw errors.create(e, {
+                                phase: 'layout',
+                                file: file,
+                                source: content,
+                                offset: errors.lineOffset(content, layoutMatter.content)
+                            });
+                        }
+
+                        assembly.layouts[id] = layoutMatter.content;
+                        records.layouts[id] = {
+                            id: id,
+                            file: file,
+                            layout: layoutMatter.data.layout || null,
+                            data: _.omit(layoutMatter.data, 'layout'),
+                            references: scanReferences(ast)
+                        };
+                    });
+                });
+            });
+        });
+
+    };
+
+
+    /**
+     * Register layout includes has Handlebars partials
+     * @return {Object} Promise
+     */
+    const parseLayoutIncludes = function () {
+
+        // reset
+        records.includes = {};
+
+        // get hooks
+        let hooks = options.hooks || {};
+
+        // get files
+        return io.glob(options.layoutIncludes).then(function (files) {
+
+            /**
+             * Hook -> beforeLayoutIncludes
+             * @description Allows for user injection before the layout includes are parsed.
+             */
+            if (typeof hooks.beforeLayoutIncludes === 'function') {
+                files = hooks.beforeLayoutIncludes(options, {files: files}) || files;
+            }
+
+            sources.layoutIncludes = files;
+
+            return readSources('layout', files).then(function (contents) {
+
+                // save content of each file
+                files.forEach(function (file, i) {
+                    if (contents[i] === undefined) { return; }
+
+                    guard('layout', file, contents[i], function () {
+                        let id = getName(file);
+                        let content = contents[i];
+
+                        /**
+                         * Hook -> layoutIncludes
+                         * @description Allows user injection after the include content is read.
+                         */
+                        if (typeof hooks.layoutIncludes === 'function') {
+                            content = hooks.layoutIncludes(options, {
+                                    content: content,
+                                    files: files,
+                                    id: id
+                                }) || content;
+                        }
+
+                        let ast = handlebars.parse(content);
+
+                        handlebars.registerPartial(id, content);
+                        records.includes[id] = { id: id, file: file, references: scanReferences(ast) };
+                    });
+                });
+            });
+        });
+
+    };
+
+
+    /**
+     * Parse data files and save JSON
+     * @return {Object} Promise
+     */
+    const parseData = function () {
+
+        // reset
+        assembly.data = {};
+
+        // get hooks
+        let hooks = options.hooks || {};
+
+        // get files
+        return io.glob(options.data).then(function (files) {
+
+            /**
+             * Hook -> beforeData
+             * @description Allows for user injection before the data is parsed.
+             */
+            if (typeof hooks.beforeData === 'function') {
+                files = hooks.beforeData(options, {files: files, data: assembly.data}) || files;
+            }
+
+            sources.data = files;
+
+            return readSources('data', files).then(function (contents) {
+
+                // save content of each file
+                files.forEach(function (file, i) {
+                    if (contents[i] === undefined) { return; }
+
+                    guard('data', file, contents[i], function () {
+                        let id = getName(file);
+                        let content = yaml.safeLoad(contents[i]);
+
+                        /**
+                         * Hook -> data
+                         * @description Allows user injection after the data is read.
+                         */
+                        if (typeof hooks.data === 'function') {
+                            content = hooks.data(options, {
+                                    data: assembly.data,
+                                    content: content,
+                                    files: files,
+                                    id: id
+                                }) || content;
+                        }
+
+                        assembly.data[id] = content;
+                    });
+                });
+            });
+        });
+
+    };
+
+
+    /**
+     * Get meta data for templates
+     * @return {Object} Promise
+     */
+    const parseTemplates = function () {
+
+        // views that aren't rendered again keep what they wrote
+        let previous = records.views;
+
+        // reset
+        assembly.views = {};
+        records.views = {};
+
+        // get hooks
+        let hooks = options.hooks || {};
+
+        // get files
+        return io.glob(options.views).then(function (files) {
+
+            /**
+             * Hook -> beforeViews
+             * @description Allows for user injection before the views are parsed.
+             */
+            if (typeof hooks.beforeTemplates === 'function') {
+                files = hooks.beforeTemplates(options, {files: files}) || files;
+            }
+
+            sources.views = files;
+
+            return Promise.all(files.map(function (file) {
+                return attempt('view', file, getMatter.bind(null, file));
+            })).then(function (matters) {
+
+                files.forEach(function (file, i) {
+
+                    // skip views that failed to parse
+                    if (matters[i] === undefined) { return; }
+
+                    let id = getName(file, true);
+
+                    // determine if view is part of a collection (subdir), at any depth
+                    let collection = locateView(file).collection;
+
+                    let fileMatter = matters[i],
+                        fileData = _.omit(fileMatter.data, 'notes'),
+                        references = null,
+                        referenceError = null,
+                        asts = null;
+
+                    let pagination = fileMatter.data.pagination,
+                        paginated = (_.isString(pagination)) ? pagination : _.get(pagination, 'data');
+
+                    // syntax errors are reported with their lines when the view is rendered; the record keeps the reason
+                    try {
+                        asts = [handlebars.parse(fileMatter.content), (fileMatter.data.permalink) ? handlebars.parse(String(fileMatter.data.permalink)) : null];
+                    } catch (e) {
+                        referenceError = e.message;
+                    }
+
+                    if (asts) {
+                        references = refs.merge([
+                            scanReferences(asts[0]),
+                            (asts[1]) ? scanReferences(asts[1]) : null,
+                            // pages generated from a data collection read it too
+                            (paginated) ? { partials: [], helpers: [], data: [String(paginated).split('.')[0]], dynamic: false, allData: false } : null
+                        ]);
+                    }
+
+                    records.views[file] = {
+                        id: id,
+                        file: file,
+                        collection: collection,
+                        layout: fileMatter.data.layout || options.layout,
+                        data: fileData,
+                        references: references,
+                        referenceError: referenceError,
+                        output: (previous[file]) ? previous[file].output : []
+                    };
+
+                    if (assembly.materials.hasOwnProperty(id)) {
+                        if (assembly.materials[id].hasOwnProperty('data') && typeof fileMatter === 'object') {
+                            assembly.materials[id]['data'] = fileMatter.data;
+                        }
+
+                        assembly.materials[id]['serial'] = getSerial(id);
+                    }
+
+                    /**
+                     * Hook -> views
+                     * @description Allows user injection after the view is read.
+                     */
+                    if (typeof hooks.templates === 'function') {
+                        fileData = hooks.templates(options, {
+                                views: assembly.views,
+                                fileData: fileData,
+                                files: files,
+                                id: id
+                            }) || fileData;
+                    }
+
+                    // if this file is part of a collection
+                    if (collection.length > 0) {
+                        // create the collection and its parents if they don't exist
+                        let node = collection.reduce(function (parent, dir, depth) {
+                            let items = (depth === 0) ? parent : parent.items;
+
+                            items[dir] = _.defaults(items[dir] || {}, {
+                                name: toTitleCase(dir),
+                                file: file,
+                                items: {}
+                            });
+
+                            return items[dir];
+                        }, assembly.views);
+
+                        // store view data; a view named like a nested collection shares its entry
+                        node.items[id] = _.assign(node.items[id] || {}, {
+                            name: toTitleCase(id),
+                            data: fileData,
+                            references: references
+                        });
+                    }
+                });
+            });
+        });
+    };
+
+
+    /**
+     * Register new Handlebars helpers
+     */
+    const registerHelpers = function () {
+
+        // get helper files
+        let resolveHelper = path.join.bind(null, __dirname, 'helpers');
+        let localHelpers = fs.readdirSync(resolveHelper());
+        let userHelpers = options.helpers;
+
+        // register local helpers
+        localHelpers.map(function (helper) {
+            let key = helper.match(/(^\w+?-)(.+)(\.\w+)/)[2];
+            let path = resolveHelper(helper);
+            handlebars.registerHelper(key, require(path));
+        });
+
+
+        /**
+         * `markdown`
+         * @description Renders markdown with the same settings and plugins as docs and notes.
+         * Registered before the user helpers, so a user helper with the same name wins.
+         * @example
+         * {{#markdown}}
+         *     ## Usage
+         * {{/markdown}}
+         * {{markdown description}}
+         */
+        handlebars.registerHelper('markdown', function (text, opts) {
+
+            // block or inline
+            if (opts === undefined) {
+                opts = text;
+                text = (opts.fn) ? opts.fn(this) : '';
+            }
+
+            // blocks are usually indented along with the template
+            let lines = String(text || '').split('\n');
+            let indent = _.min(lines.filter(function (line) {
+                return line.trim();
+            }).map(function (line) {
+                return line.match(/^\s*/)[0].length;
+            })) || 0;
+
+            return new handlebars.SafeString(md.render(lines.map(function (line) {
+                return line.slice(indent);
+            }).join('\n')));
+        });
+
+
+        // register user helpers
+        for (let helper in userHelpers) {
+            if (userHelpers.hasOwnProperty(helper)) {
+                handlebars.registerHelper(helper, userHelpers[helper]);
+            }
+        }
+
+
+        /**
+         * Helpers that require local functions like `buildContext()`
+         */
+
+        /**
+         * `material`
+         * @description Like a normal partial include (`{{> partialName }}`),
+         * but with some additional templating logic to help with nested block iterations.
+         * The name of the helper is the singular form of whatever is defined as the `options.keys.materials`
+         * @example
+         * {{material name context}}
+         * {{material name context variant="disabled"}}
+         */
+        handlebars.registerHelper(inflect.singularize(options.keys.materials), function (name, context, opts) {
+
+            // context is optional
+            if (opts === undefined) {
+                opts = context;
+                context = {};
+            }
+
+            return renderMaterial(name, context, opts.hash);
+        });
+
+    };
+
+
+    /**
+     * Render a material with the same logic as the `material` helper
+     * @param  {String} name Material id or key; leading numbers are ignored
+     * @param  {Object} context
+     * @param  {Object} hash Extra context, like helper hash arguments; `variant` renders one of the material's variants
+     * @param  {Object} renderOptions
+     * - props `Boolean` Check the call against the material's props; `false` only fills in their defaults (default `true`)
+     * @return {String} Beautified HTML
+     */
+    const renderMaterial = function (name, context, hash, renderOptions) {
+
+        let key = partialName(name);
+
+        //key = (key.substr(0, 2) === '__') ? key.substr(2) : key;
+
+        // attempt to find pre-compiled partial
+        let template = handlebars.partials[key],
+            fn;
+
+        if (template === undefined) {
+            throw new Error('Material "' + name + '" not found');
+        }
+
+        // check the arguments against the material's props
+        let variant = (hash) ? hash.variant : undefined;
+        hash = _.omit(hash, 'variant');
+        hash = _.assign(checkProps(key, _.assign({}, context, hash), hash, (renderOptions || {}).props), hash);
+
+        // swap the material's local data for the variant's
+        let data = buildContext(context, hash);
+
+        if (variant !== undefined) {
+            let material = registry[key];
+
+            if (!material || !material.variants.hasOwnProperty(variant)) {
+                throw new Error('Variant "' + variant + '" of material "' + name + '" not found');
+            }
+
+            data[material.namespace] = material.variants[variant].data;
+        }
+
+        // compile partial if not already compiled
+        if (!_.isFunction(template)) {
+            fn = handlebars.compile(template);
+        } else {
+            fn = template;
+        }
+
+        // return beautified html with trailing whitespace removed
+        return beautifyHtml(fn(data).replace(/^\s+/, ''), options.beautifier);
+
+    };
+
+
+    /**
+     * Get a layout and the layouts it extends
+     * @param  {String} id
+     * @return {Array} Ids, nearest first
+     */
+    const layoutChain = function (id) {
+        let chain = [];
+
+        while (id) {
+            if (!assembly.layouts.hasOwnProperty(id)) {
+                throw new Error('Layout "' + id + '" not found' + ((chain.length > 0) ? ', extended by "' + _.last(chain) + '"' : ''));
+            }
+
+            if (chain.indexOf(id) > -1) {
+                throw new Error('Layout "' + id + '" extends itself: "' + chain.slice(chain.indexOf(id)).concat(id).join('" > "') + '"');
+            }
+
+            chain.push(id);
+            id = (records.layouts[id]) ? records.layouts[id].layout : null;
+        }
+
+        return chain;
+    };
+
+
+    /**
+     * Insert a page into its layout and the layouts it extends
+     * @param  {String} page Handlebars source of the page
+     * @param  {String} id Id of the page's layout
+     * @return {Object} `source` of the page in its layouts, layout front-matter `data` (nearest layouts win), and `unused`, the blocks of the page no layout defines
+     */
+    const layoutPage = function (page, id) {
+        let chain = layoutChain(id);
+        let layouts = chain.map(function (layout) { return assembly.layouts[layout]; });
+
+        return {
+            source: wrapPage(page, layouts, options.livereload),
+            data: _.assign.apply(null, [{}].concat(chain.slice().reverse().map(function (layout) {
+                return (records.layouts[layout]) ? records.layouts[layout].data : {};
+            }))),
+            unused: blocks.unused(page, layouts)
+        };
+    };
+
+
+    /**
+     * Render a template string with the assembly's partials, helpers, and data
+     * @param  {String} template Handlebars source
+     * @param  {Object} data Context, merged over the assembly data
+     * @param  {Object} renderOptions
+     * - layout `(String|Boolean)` Wrap the template in a layout; `true` uses the default layout
+     * - beautify `Boolean` Beautify the output with the `beautifier` options
+     * - body `String` HTML the template inserts with `{{{@body}}}`; it isn't compiled itself
+     * @return {String} HTML
+     */
+    const renderString = function (template, data, renderOptions) {
+
+        renderOptions = renderOptions || {};
+
+        let source = template;
+        let layoutData = {};
+
+        if (renderOptions.layout) {
+            let layout = layoutPage(template, (renderOptions.layout === true) ? options.layout : renderOptions.layout);
+
+            source = layout.source;
+            layoutData = layout.data;
+        }
+
+        let context = buildContext(_.assign({}, layoutData, data));
+        let html = (_.has(renderOptions, 'body')) ?
+            handlebars.compile(source)(context, { data: { body: renderOptions.body } }) :
+            handlebars.compile(source)(context);
+
+        return (renderOptions.beautify) ? beautifyHtml(html, options.beautifier) : html;
+
+    };
+
+
+    /**
+     * Create the markdown-it instance with the settings and plugins of `options.markdown`
+     * @return {Object} Throws for plugins that aren't functions or that fail
+     */
+    const createMarkdown = function () {
+
+        // returns an empty string to leave the code to markdown-it
+        let highlightCode = (_.isFunction(options.markdown.highlight)) ? options.markdown.highlight :
+            (options.markdown.highlight) ? highlight.markdown : null;
+
+        let instance = markdownIt(_.assign(_.omit(options.markdown, ['plugins', 'highlight']), { highlight: highlightCode }));
+
+        (options.markdown.plugins || []).forEach(function (plugin, i) {
+            let args = _.castArray(plugin);
+
+            if (!_.isFunction(args[0])) {
+                throw new Error('Option "markdown.plugins[' + i + ']" should be a plugin function or a [plugin, options] pair');
+            }
+
+            instance.use.apply(instance, args);
+        });
+
+        // ```material fences embed live materials (see lib/butter-embed); used last, so other fences keep what plugins do to them
+        return instance.use(embed.plugin, {
+            name: inflect.singularize(options.keys.materials),
+            render: function (name, context, hash) {
+                return renderMaterial(name, context, hash);
+            },
+            source: function (name) {
+                return registry[partialName(name)].source;
+            },
+            highlight: function (code, lang) {
+                return ((highlightCode) ? highlightCode(code, lang) : '') || _.escape(code);
+            }
+        });
+
+    };
+
+
+    /**
+     * Remove `__` prefixed (hidden) materials from the materials tree; their partials stay registered
+     */
+    const removeHiddenMaterials = function () {
+        const remove = function (collection) {
+            for (let item in collection.items) {
+                if (_.last(item.split('.')).substr(0, 2) === '__') {
+                    delete collection.items[item];
+                } else if (collection.items[item].items) {
+                    remove(collection.items[item]);
+                }
+            }
+        };
+
+        _.forEach(assembly.materials, remove);
+    };
+
+
+    /**
+     * Setup the assembly
+     * @return {Object} Promise
+     */
+    const setup = function () {
+
+        // start with a clean slate of failures
+        failures.length = 0;
+
+        // invalid options would only produce confusing output
+        if (validation.errors.length > 0) {
+            return Promise.reject(errors.create(new Error(validation.errors.join('\n')), { phase: 'options' }));
+        }
+
+        // plugins run now and may throw
+        try {
+            md = createMarkdown();
+        } catch (e) {
+            return Promise.reject(errors.create(e, { phase: 'options' }));
+        }
+
+        // forget partials from a previous setup so deleted materials don't linger
+        _.keys(handlebars.partials).forEach(function (partial) {
+            handlebars.unregisterPartial(partial);
+        });
+
+        // setup steps
+        registerHelpers();
+
+        return parseLayouts()
+            .then(parseLayoutIncludes)
+            .then(parseData)
+            .then(parseMaterials)
+            .then(parseTemplates)
+            .then(parseDocs)
+            .then(function () {
+
+                /**
+                 * Hook -> assembly
+                 * @description Allows for user injection after the assembly process is complete.
+                 */
+                let hooks = options.hooks || {};
+                if (typeof hooks.assembly === 'function') {
+                    hooks.assembly(options, assembly);
+                }
+
+                removeHiddenMaterials();
+                checkReferences();
+            });
+    };
+
+
+    /**
+     * Split a view into the pages it generates: one, or one per chunk of its `pagination` data
+     * @param  {Object} data The view's front-matter, with extra data
+     * @param  {String} filePath Where the view is written without a permalink
+     * @return {Array} `filePath` of each page and the `hash` merged over its context
+     */
+    const paginate = function (data, filePath) {
+
+        let settings = (_.isString(data.pagination)) ? { data: data.pagination } : data.pagination;
+        let chunks = [null];
+
+        if (settings) {
+            let size = (settings.size === undefined) ? 1 : settings.size;
+            let items = _.get(buildContext(data), settings.data);
+
+            if (!_.isInteger(size) || size < 1) {
+                throw new Error('Pagination size should be a positive integer, got ' + JSON.stringify(settings.size));
+            }
+
+            if (!_.isArray(items) && !_.isPlainObject(items)) {
+                throw new Error('Pagination data "' + settings.data + '" not found');
+            }
+
+            settings = _.assign({}, settings, { size: size });
+
+            // an empty collection still gets its first page
+            chunks = _.chunk(_.values(items), size);
+            chunks = (chunks.length > 0) ? chunks : [[]];
+        }
+
+        let pages = chunks.map(function (chunk, index) {
+
+            let hash = {};
+
+            if (settings) {
+                let item = (settings.size === 1) ? chunk[0] : undefined;
+
+                // a single item's data is available at the top of the context, like front-matter
+                hash = _.assign({}, (_.isPlainObject(item)) ? item : {}, {
+                    page: { number: index + 1, index: index, total: chunks.length },
+                    pagination: _.assign({}, settings, { items: chunk, item: (item === undefined) ? null : item, pages: chunks.length })
+                });
+
+                if (settings.alias) {
+                    hash[settings.alias] = (settings.size === 1) ? item : chunk;
+                }
+            }
+
+            // permalinks are rendered with the page's context, relative to dest
+            let target = (data.permalink) ?
+                path.normalize(path.join(options.dest, handlebars.compile(String(data.permalink))(buildContext(data, hash)).replace(/\/$/, '/index.html'))) :
+                (index === 0) ? filePath : filePath.replace(/\.html$/, '-' + (index + 1) + '.html');
+
+            return { filePath: target, hash: hash };
+        });
+
+        let paths = _.map(pages, 'filePath');
+        let taken = _.find(paths, function (target, index) {
+            return paths.indexOf(target) !== index;
+        });
 
-        if (assembly.materials.hasOwnProperty(id)) {
-            if (assembly.materials[id].hasOwnProperty('data') && typeof fileMatter === 'object') {
-                assembly.materials[id]['data'] = fileMatter.data;
+        if (taken) {
+            throw new Error('Permalink "' + data.permalink + '" gives more than one page the path ' + taken);
+        }
+
+        // link each page to its neighbours, relative to dest
+        if (settings) {
+            let links = pages.map(function (page, index) {
+                return { number: index + 1, url: path.relative(options.dest, page.filePath).split(path.sep).join('/') };
+            });
+
+            pages.forEach(function (page, index) {
+                page.hash.page.url = links[index].url;
+                _.assign(page.hash.pagination, {
+                    first: links[0],
+                    last: links[links.length - 1],
+                    prev: links[index - 1] || null,
+                    next: links[index + 1] || null
+                });
+            });
+        }
+
+        return pages;
+
+    };
+
+
+    /**
+     * Render a view into its layout: one page, or one per item or chunk with `pagination`
+     * @param  {String} file Path to the view
+     * @param  {Object} data Context merged over the view's front-matter (optional)
+     * @return {Object} Promise resolving to an Array of rendered pages (`file`, `filePath`, `html`, `data`)
+     */
+    const renderPages = function (file, data) {
+
+        // build filePath, mirroring the view's path under the views root
+        let filePath = locateView(file).filePath;
+
+        return getMatter(file).then(function (pageMatter) {
+
+            // get page gray matter and content
+            let pageContent = pageMatter.content;
+
+            // redefine file path if dest front-matter variable is defined
+            if (pageMatter.data.dest) {
+                filePath = path.normalize(pageMatter.data.dest);
+            }
+
+            // change extension to .html
+            filePath = filePath.replace(/\.[0-9a-z]+$/, '.html');
+
+            // markdown views are rendered on their own, then inserted in their layouts as HTML (`@body`)
+            let markdown = isMarkdown(file) && blocks.split(pageContent);
+            let layout = layoutPage((markdown) ? markdown.blocks + '{{{@body}}}' : pageContent, _.assign({}, pageMatter.data, data).layout || options.layout);
+
+            layout.unused.forEach(function (name) {
+                console.warn(chalk.yellow('Warning (butter-assemble): View ' + file + ' fills block "' + name + '" its layouts don\'t define'));
+            });
+
+            // catch syntax errors against the view's own lines, before it's wrapped in the layout
+            try {
+                handlebars.parse(pageContent);
+            } catch (e) {
+                throw errors.create(e, {
+                    phase: 'view',
+                    file: file,
+                    source: pageMatter.orig,
+                    offset: errors.lineOffset(pageMatter.orig, pageContent)
+                });
+            }
+
+            // template using Handlebars; the layouts' front-matter is under the view's
+            let template = handlebars.compile(layout.source);
+            let body = (markdown) ? handlebars.compile(markdown.rest) : null;
+
+            return paginate(_.assign({}, layout.data, pageMatter.data, data), filePath).map(function (page) {
+
+                let pageData = _.assign({}, layout.data, pageMatter.data, { baseurl: relativeRoot(page.filePath) }, data),
+                    context = buildContext(pageData, page.hash),
+                    html;
+
+                // remember the view for messages about the materials it calls
+                rendering = file;
+
+                try {
+                    // Handlebars first, so `{{material}}` and other helpers work in markdown
+                    html = (markdown) ?
+                        template(context, { data: { body: md.render(body(context)) } }) :
+                        template(context);
+                } finally {
+                    rendering = null;
+                }
+
+                return {
+                    file: file,
+                    filePath: page.filePath,
+                    html: html,
+                    data: pageData
+                };
+            });
+        }).catch(function (e) {
+            throw errors.create(e, { phase: 'view', file: file });
+        });
+
+    };
+
+
+    /**
+     * Get the relative path from a page back to `dest`, for `baseurl`
+     * @param  {String} filePath Where the page is written
+     * @return {String}
+     * @example
+     * 'dist/pages/blog/post.html' -> '../..'
+     */
+    const relativeRoot = function (filePath) {
+        return path.relative(path.dirname(filePath), options.dest).split(path.sep).join('/') || '.';
+    };
+
+
+    /**
+     * Assemble a single view and write it to disk
+     * @param  {String} file Path to the view
+     * @return {Object} Promise resolving to an Array of written file paths
+     */
+    const assembleView = function (file) {
+
+        return renderPages(file).then(function (pages) {
+
+            // write files
+            let writes = pages.map(function (page) {
+                return io.writeFile(page.filePath, page.html);
+            });
+
+            // write a copy of the first page if custom dest-copy front-matter variable is defined
+            if (pages[0].data['dest-copy']) {
+                writes.push(io.writeFile(path.normalize(pages[0].data['dest-copy']), pages[0].html));
             }
 
-            assembly.materials[id]['serial'] = getSerial(id);
+            return Promise.all(writes).then(function (written) {
+                if (records.views[file]) {
+                    records.views[file].output = written;
+                }
+
+                return written;
+            });
+        });
+
+    };
+
+
+    /**
+     * Write a standalone preview page for each material
+     * @param  {Array} materials Limit the previews to these material files (optional)
+     * @return {Object} Promise resolving to an Array of written file paths
+     */
+    const assemblePreviews = function (materials) {
+
+        let settings = previewOptions();
+
+        if (!settings) {
+            return Promise.resolve([]);
         }
 
-        /**
-         * Hook -> views
-         * @description Allows user injection after the view is read.
-         */
-        if (typeof hooks.templates === 'function') {
-            fileData = hooks.templates(options, {
-                    views: assembly.views,
-                    fileData: fileData,
-                    files: files,
-                    id: id
-                }) || fileData;
+        let layout = (assembly.layouts.hasOwnProperty(settings.layout)) ? settings.layout : options.layout;
+
+        // a page for each material, and one for each of its variants
+        let pages = _.flatMap(_.values(records.materials), function (material) {
+            return [{ material: material }].concat(_.map(material.variants, function (variant, key) {
+                return { material: material, variant: variant, key: key };
+            }));
+        }).filter(function (page) {
+            return (page.variant || page.material).preview;
+        });
+
+        if (_.isArray(materials)) {
+            materials = materials.map(resolvePath);
+            pages = pages.filter(function (page) {
+                return materials.indexOf(resolvePath(page.material.file)) > -1;
+            });
         }
 
-        // if this file is part of a collection
-        if (collection) {
-            // create collection if it doesn't exist
-            assembly.views[collection] = assembly.views[collection] || {
-                    name: toTitleCase(collection),
-                    file: file,
-                    items: {}
+        return Promise.all(pages.map(function (page) {
+
+            let material = page.material;
+            let state = page.variant || material;
+            let filePath = path.join(options.dest, state.preview);
+
+            return attempt('material', material.file, function () {
+                // the rendered material goes in the layout as HTML (`@body`), so it isn't compiled twice;
+                // a preview has no caller, so its props aren't checked
+                let body = renderMaterial(material.id, state.data, (page.variant) ? { variant: page.key } : {}, { props: false });
+                let html = renderString('{{{@body}}}', _.assign({}, state.data, {
+                    title: (page.variant) ? material.name + ' (' + page.variant.name + ')' : material.name,
+                    baseurl: relativeRoot(filePath),
+                    material: material,
+                    variant: page.variant || null
+                }), { layout: layout, body: body });
+
+                return io.writeFile(filePath, html);
+            });
+
+        })).then(_.compact);
+
+    };
+
+
+    /**
+     * Assemble views using materials, data, and docs
+     * @param  {Array} only Limit the assembly to these view files (optional)
+     * @param  {Array} previews With `only`, the material files whose preview pages are written too (optional)
+     * @return {Object} Promise resolving to a summary of the written files
+     */
+    const assemble = function (only, previews) {
+
+        // get hooks
+        let hooks = options.hooks || {};
+
+        // get files
+        return io.glob(options.views).then(function (files) {
+
+            // Run the exclude function on the file array
+            files = exc(null, {files:files});
+
+            /**
+             * Hook -> beforeViews
+             * @description Allows for user injection before the views are parsed.
+             */
+            if (typeof hooks.beforeViews === 'function') {
+                files = hooks.beforeViews(options, {files: files}) || files;
+            }
+
+            // limit to the requested views
+            if (_.isArray(only)) {
+                only = only.map(resolvePath);
+                files = files.filter(function (file) {
+                    return only.indexOf(resolvePath(file)) > -1;
+                });
+            }
+
+            // create output directory if it doesn't already exist
+            return io.mkdir(options.dest).then(function () {
+
+                // iterate over each view
+                let views = Promise.all(files.map(function (file) {
+                    return attempt('view', file, assembleView.bind(null, file));
+                }));
+
+                // a full assembly also refreshes every material preview; a limited one only those asked for
+                let pages = (!_.isArray(only)) ? assemblePreviews() : (_.isEmpty(previews)) ? [] : assemblePreviews(previews);
+
+                return Promise.all([views, pages]).then(_.flatten);
+
+            }).then(function (written) {
+                return {
+                    dest: options.dest,
+                    files: _.flatten(_.compact(written))
                 };
+            });
+        });
 
-            // store view data
-            assembly.views[collection].items[id] = {
-                name: toTitleCase(id),
-                data: fileData
-            };
+    };
+
+
+    /**
+     * Describe the whole assembly for other tools
+     * @return {Object} The manifest (see lib/butter-manifest)
+     */
+    const createManifest = function () {
+
+        // files keyed by id, leaving out those that failed to parse
+        let byId = function (files, parsed) {
+            return _.pickBy(_.zipObject(files.map(function (file) { return getName(file); }), files), function (file, id) {
+                return parsed.hasOwnProperty(id);
+            });
+        };
+
+        return manifest.create({
+            materials: records.materials,
+            views: records.views,
+            docs: records.docs,
+            layouts: records.layouts,
+            includes: records.includes,
+            data: byId(sources.data, assembly.data)
+        });
+
+    };
+
+
+    /**
+     * Build the material dependency graph from the last parse
+     * @return {Object} See lib/butter-graph
+     */
+    const createGraph = function () {
+
+        let materials = _.values(records.materials);
+        let ids = _.zipObject(_.map(materials, 'file'), _.map(materials, 'id'));
+
+        return graph.create({
+            materials: materials.map(function (material) {
+                return { id: material.id, name: material.name, file: material.file };
+            }),
+            edges: (dependencies) ? dependencies.edges().map(function (edge) {
+                return { from: ids[edge.from], to: ids[edge.to], tags: edge.tags };
+            }) : [],
+            unused: (dependencies) ? dependencies.unused().map(function (item) {
+                return { id: ids[item.file], selector: item.selector };
+            }) : []
+        });
+
+    };
+
+
+    /**
+     * Write the dependency graph to `dest` if the `graph` option is set
+     * @param  {Object} result Summary of the written files
+     * @return {Object} Promise resolving to the summary, including the graph files
+     */
+    const writeGraph = function (result) {
+
+        if (!options.graph) {
+            return Promise.resolve(result);
         }
-    });
-};
 
+        let dir = (_.isString(options.graph)) ? options.graph : 'dependencies';
+
+        return graph.write(path.join(options.dest, dir), createGraph()).then(function (files) {
+            result.files = result.files.concat(files);
+            return result;
+        });
+
+    };
 
-/**
- * Register new Handlebars helpers
- */
-const registerHelpers = function () {
-
-    // get helper files
-    let resolveHelper = path.join.bind(null, __dirname, 'helpers');
-    let localHelpers = fs.readdirSync(resolveHelper());
-    let userHelpers = options.helpers;
-
-    // register local helpers
-    localHelpers.map(function (helper) {
-        let key = helper.match(/(^\w+?-)(.+)(\.\w+)/)[2];
-        let path = resolveHelper(helper);
-        Handlebars.registerHelper(key, require(path));
-    });
 
+    /**
+     * Write the manifest to `dest` if the `manifest` option is set
+     * @param  {Object} result Summary of the written files
+     * @return {Object} Promise resolving to the summary, including the manifest
+     */
+    const writeManifest = function (result) {
 
-    // register user helpers
-    for (let helper in userHelpers) {
-        if (userHelpers.hasOwnProperty(helper)) {
-            Handlebars.registerHelper(helper, userHelpers[helper]);
+        if (!options.manifest) {
+            return Promise.resolve(result);
         }
-    }
+
+        let name = (_.isString(options.manifest)) ? options.manifest : 'manifest.json';
+
+        return manifest.write(path.join(options.dest, name), createManifest()).then(function (file) {
+            result.files.push(file);
+            return result;
+        });
+
+    };
 
 
     /**
-     * Helpers that require local functions like `buildContext()`
+     * Get the source type (`layouts`, `materials`, `views`, etc.) of a file from the last parse
+     * @param  {String} file
+     * @return {String} null if the file wasn't part of the last parse
      */
+    const sourceType = function (file) {
+        file = resolvePath(file);
+
+        return _.findKey(sources, function (files, type) {
+            return files.map(resolvePath).indexOf(file) > -1;
+        }) || null;
+    };
+
 
     /**
-     * `material`
-     * @description Like a normal partial include (`{{> partialName }}`),
-     * but with some additional templating logic to help with nested block iterations.
-     * The name of the helper is the singular form of whatever is defined as the `options.keys.materials`
-     * @example
-     * {{material name context}}
+     * Re-read a single material, update its meta data and re-register its partial.
+     * Materials whose helix changes with it are registered again too.
+     * @param  {String} file Path to the material
+     * @return {Object} Promise resolving to the files of the other materials whose helix changed
      */
-    Handlebars.registerHelper(inflect.singularize(options.keys.materials), function (name, context, opts) {
+    const updateMaterial = function (file) {
 
-        // remove leading numbers from name keyword
-        // partials are always registered with the leading numbers removed
-        // This is for both the subCollection as the file(name) itself!
-        let key = name.replace(/(\d+[\-\.])+/, '').replace(/(\d+[\-\.])+/, '');
+        // use the parsed file reference so paths match the rest of the assembly
+        file = _.find(sources.materials, function (source) {
+            return resolvePath(source) === resolvePath(file);
+        });
 
-        //key = (key.substr(0, 2) === '__') ? key.substr(2) : key;
+        return getMaterialMatter(file).then(function (fileMatter) {
 
-        // attempt to find pre-compiled partial
-        let template = Handlebars.partials[key],
-            fn;
+            // the other materials come from the dna cache unless they changed on disk too
+            dna.entry(file, fileMatter.orig, fileMatter, dnaCache).mtime = fileMatter.mtime;
 
-        // compile partial if not already compiled
-        if (!_.isFunction(template)) {
-            fn = Handlebars.compile(template);
-        } else {
-            fn = template;
-        }
+            return dna.load(sources.materials, dnaCache).then(function (entries) {
+                dependencies = dna.index(entries, options.dna, materialId);
 
-        // return beautified html with trailing whitespace removed
-        return beautifyHtml(fn(buildContext(context, opts.hash)).replace(/^\s+/, ''), options.beautifier);
+                let localData = dna.apply(_.omit(fileMatter.data, ['notes', 'variants', 'props']), file, dependencies);
 
-    });
+                registerMaterial(file, fileMatter, localData);
 
-};
+                // the change may add or remove uses of the other materials' selectors
+                let others = _.filter(records.materials, function (record) {
+                    let helix = dna.apply(_.clone(record.data), record.file, dependencies).helix;
+                    return record.file !== file && !_.isEqual(helix, assembly.materialData[registry[record.id].namespace].helix);
+                });
 
+                return Promise.all(others.map(function (record) {
+                    return getMatter(record.file);
+                })).then(function (matters) {
+                    others.forEach(function (record, i) {
+                        registerMaterial(record.file, matters[i], dna.apply(_.omit(matters[i].data, ['notes', 'variants', 'props']), record.file, dependencies));
+                        renderNotes(record.file, matters[i]);
+                        renderCode(record.file);
+                    });
 
-/**
- * Setup the assembly
- * @param  {Object} userOptions  User options
- */
-const setup = function (userOptions) {
+                    renderNotes(file, fileMatter);
+                    renderCode(file);
+                    removeHiddenMaterials();
 
-    // merge user options with defaults
-    options = _.merge({}, defaults, userOptions);
+                    return _.map(others, 'file');
+                });
+            });
+        });
 
-    // setup steps
-    registerHelpers();
-    parseLayouts();
-    parseLayoutIncludes();
-    parseData();
-    parseMaterials();
-    parseTemplates();
-    parseDocs();
+    };
 
 
     /**
-     * Hook -> assembly
-     * @description Allows for user injection after the assembly process is complete.
+     * Collect everything a view references: its own template, its layouts, and every partial they include, recursively
+     * @param  {String} file Path to the view
+     * @return {Object} See lib/butter-refs; null when it can't be known because of a syntax error or a broken layout
      */
-    let hooks = options.hooks || {};
-    if (typeof hooks.assembly === 'function') {
-        hooks.assembly(options, assembly);
-    }
+    const viewReferences = function (file) {
 
-    for (let prop in assembly.materials) {
-        for (let item in assembly.materials[prop].items) {
-            if (item.substr(0, 2) === '__') {
-                delete assembly.materials[prop].items[item];
-            }
+        let record = records.views[file];
+        let layouts;
+
+        try {
+            layouts = layoutChain(record.layout);
+        } catch (e) {
+            return null;
         }
-    }
-};
 
+        if (!record.references) {
+            return null;
+        }
 
-/**
- * Assemble views using materials, data, and docs
- */
-const assemble = function () {
+        // materials win over layout includes with the same id, as when they're registered
+        let partials = _.assign({}, _.keyBy(_.values(records.includes), 'id'), _.keyBy(_.values(records.materials), 'id'));
+        let found = [record.references].concat(layouts.map(function (layout) {
+            return records.layouts[layout].references;
+        }));
+        let seen = {};
+
+        for (let i = 0; i < found.length; i++) {
+            found[i].partials.forEach(function (id) {
+                if (!seen[id] && partials.hasOwnProperty(id)) {
+                    seen[id] = true;
+                    found.push(partials[id].references);
+                }
+            });
+        }
 
-    // get files
-    let files = globby.sync(options.views, { nodir: true });
+        let merged = refs.merge(found);
 
-    // Run the exclude function on the file array
-    files = exc(null, {files:files});
+        // a partial included by a computed name (e.g. `{{material @key}}`) could be any of them
+        if (merged.dynamic) {
+            merged = refs.merge([merged].concat(_.map(partials, 'references')));
+            merged.partials = _.sortBy(_.uniq(merged.partials.concat(_.keys(partials))));
+        }
+
+        return merged;
+
+    };
 
-    // get hooks
-    let hooks = options.hooks || {};
 
     /**
-     * Hook -> beforeViews
-     * @description Allows for user injection before the views are parsed.
+     * Find the views affected by a change
+     * @param  {Object} changes
+     * - partials `Array` Ids of changed materials and layout includes
+     * - data `Array` Changed context keys
+     * - layouts `Array` Ids of changed layouts
+     * @return {Array} View files
      */
-    if (typeof hooks.beforeViews === 'function') {
-        files = hooks.beforeViews(options, {files: files}) || files;
-    }
+    const affectedViews = function (changes) {
+
+        return sources.views.filter(function (file) {
+            let record = records.views[file];
+            let used = (record) ? viewReferences(file) : null;
+
+            return !used ||
+                _.intersection(layoutChain(record.layout), changes.layouts).length > 0 ||
+                _.intersection(used.partials, changes.partials).length > 0 ||
+                (used.allData && changes.data.length > 0) ||
+                _.intersection(used.data, changes.data).length > 0;
+        });
+
+    };
+
 
-    // create output directory if it doesn't already exist
-    mkdirp.sync(options.dest);
+    /**
+     * Warn about templates that include partials that don't exist, before rendering fails on them
+     */
+    const checkReferences = function () {
+
+        let templates = [].concat(
+            _.map(records.layouts, function (record) { return ['Layout', record]; }),
+            _.map(records.includes, function (record) { return ['Layout include', record]; }),
+            _.map(records.materials, function (record) { return ['Material', record]; }),
+            _.map(records.views, function (record) { return ['View', record]; })
+        );
+
+        templates.forEach(function (template) {
+            let record = template[1];
+
+            (record.references) && record.references.partials.forEach(function (partial) {
+                if (!handlebars.partials.hasOwnProperty(partialName(partial))) {
+                    console.warn(chalk.yellow('Warning (butter-assemble): ' + template[0] + ' ' + record.file + ' references missing partial "' + partial + '"'));
+                }
+            });
+        });
+
+    };
 
-    // iterate over each view;
-    files.forEach(function (file) {
 
-        //let id = getName(file);
+    /**
+     * Redo only the work affected by a set of changed files.
+     * Added or removed files (anything not seen by the last parse, or no longer on disk) trigger a full rebuild.
+     * @param  {Array} changed Paths of the changed files
+     * @return {Object} Promise resolving to a summary of the written files
+     */
+    const rebuild = function (changed) {
 
-        // build filePath
-        let dirname = path.normalize(path.dirname(file)).split(path.sep).pop(),
-            collection = (dirname !== options.keys.views) ? dirname : '',
-            filePath = path.normalize(path.join(options.dest, collection, path.basename(file)));
+        failures.length = 0;
 
-        // get page gray matter and content
-        let pageMatter = getMatter(file),
-            pageContent = pageMatter.content;
+        // removed files are unknown too: their partials, records and dependencies have to go
+        let types = _.groupBy(changed, function (file) {
+            return (fs.existsSync(file)) ? sourceType(file) : null;
+        });
+
+        // unknown files; the trees need to be rebuilt from scratch
+        if (types.hasOwnProperty('null')) {
+            return setup().then(function () {
+                return assemble();
+            });
+        }
 
-        if (pageMatter) { pageMatter.data.baseurl = (collection) ? '..' : '.'; }
+        // what changed, to find the views to re-render
+        let changes = { partials: [], data: [], layouts: [] };
+        let views = [];
+        let steps = [];
 
-        // template using Handlebars
-        let source = wrapPage(pageContent, assembly.layouts[pageMatter.data.layout || options.layout]),
-            context = buildContext(pageMatter.data),
-            template = Handlebars.compile(source);
+        if (types.layouts) {
+            steps.push(parseLayouts);
+            changes.layouts = types.layouts.map(function (file) { return getName(file); });
+        }
 
-        // redefine file path if dest front-matter variable is defined
-        if (pageMatter.data.dest) {
-            filePath = path.normalize(pageMatter.data.dest);
+        if (types.layoutIncludes) {
+            steps.push(parseLayoutIncludes);
+            changes.partials = changes.partials.concat(types.layoutIncludes.map(function (file) { return getName(file); }));
         }
 
-        // change extension to .html
-        filePath = filePath.replace(/\.[0-9a-z]+$/, '.html');
+        if (types.data) {
+            steps.push(parseData);
+            changes.data = changes.data.concat(types.data.map(function (file) { return getName(file); }));
+        }
 
-        // write file
-        mkdirp.sync(path.dirname(filePath));
+        if (types.materials) {
+            let updated = types.materials;
 
-        try {
-            fs.writeFileSync(filePath, template(context));
-        } catch(e) {
-            const originFilePath = path.dirname(file) + '/' + path.basename(file);
+            types.materials.forEach(function (file) {
+                steps.push(function () {
+                    return updateMaterial(file).then(function (others) {
+                        updated = updated.concat(others);
+                    });
+                });
+            });
+            steps.push(function () {
+                _.uniq(updated).forEach(function (file) {
+                    let material = _.find(records.materials, function (record) {
+                        return resolvePath(record.file) === resolvePath(file);
+                    });
+
+                    // the partial, the materials tree, and the material's name-spaced local data
+                    if (material) {
+                        changes.partials.push(material.id);
+                        changes.data.push(options.keys.materials, registry[material.id].namespace);
+                    }
+                });
+            });
 
-            console.error('\x1b[31m \x1b[1mBold', 'Error while comiling template', originFilePath, '\x1b[0m \n');
-            throw e;
+            // notes and docs embedding a changed material, and the code of materials including it
+            steps.push(function () {
+                includingMaterials(changes.partials).forEach(function (record) {
+                    renderCode(record.file);
+                });
+
+                let embedding = function (record) {
+                    return _.intersection(record.embeds, changes.partials).length > 0;
+                };
+                let notes = _.filter(records.materials, embedding).map(function (record) {
+                    return getMatter(record.file).then(renderNotes.bind(null, record.file));
+                });
+
+                if (!types.docs && _.some(records.docs, embedding)) {
+                    changes.data.push(options.keys.docs);
+                    notes.push(parseDocs());
+                }
+
+                return Promise.all(notes);
+            });
         }
 
-        fs.writeFileSync(filePath, template(context));
+        if (types.docs) {
+            steps.push(parseDocs);
+            changes.data.push(options.keys.docs);
+        }
 
-        // write a copy file if custom dest-copy front-matter variable is defined
-        if (pageMatter.data['dest-copy']) {
-            let copyPath = path.normalize(pageMatter.data['dest-copy']);
-            mkdirp.sync(path.dirname(copyPath));
-            fs.writeFileSync(copyPath, template(context));
+        if (types.views) {
+            steps.push(parseTemplates);
+            views = views.concat(types.views);
         }
-    });
+
+        return steps.reduce(function (promise, step) {
+            return promise.then(step);
+        }, Promise.resolve()).then(function () {
+            checkReferences();
+
+            // match changed views by path; they're globbed again when assembled
+            let affected = affectedViews(changes).map(resolvePath);
+
+            // previews of changed materials and the materials including them; layouts and data may change any of them
+            let previews = (types.layouts || types.layoutIncludes || types.data) ? _.values(records.materials) :
+                _.filter(records.materials, function (record) {
+                    return changes.partials.indexOf(record.id) > -1;
+                }).concat(includingMaterials(changes.partials));
+
+            return assemble(_.uniq(views.map(resolvePath).concat(affected)), _.uniq(_.map(previews, 'file')));
+        });
+
+    };
+
+
+    /**
+     * Public interface
+     */
+    return {
+
+        /**
+         * Merged defaults and user options
+         * @type {Object}
+         */
+        options: options,
+
+        /**
+         * Assembly data storage
+         * @type {Object}
+         */
+        assembly: assembly,
+
+        /**
+         * The assembler's Handlebars environment
+         * @type {Object}
+         */
+        handlebars: handlebars,
+
+        setup: setup,
+
+        /**
+         * Describe the assembly (materials, views, docs, layouts, data); call `setup()` first
+         * @return {Object}
+         */
+        manifest: createManifest,
+
+        /**
+         * Describe the material dependency graph: `materials`, `edges`, `cycles`, `orphans` and `unused` selectors; call `setup()` first
+         * @return {Object}
+         */
+        graph: createGraph,
+
+        /**
+         * Find the materials affected by a change to a material, directly or through other materials; call `setup()` first
+         * @param  {String} id Material id; leading numbers are ignored
+         * @return {Array} Ids, nearest first
+         */
+        impacted: function (id) {
+            let g = createGraph();
+            let key = partialName(id);
+
+            if (!_.some(g.materials, { id: key })) {
+                throw new Error('Material "' + id + '" not found');
+            }
+
+            return graph.impacted(g, key);
+        },
+
+        /**
+         * Setup the assembly and write every view to `options.dest`
+         * @return {Object} Promise resolving to a summary of the written files; rejects with the error
+         */
+        build: function () {
+            return setup().then(assemble).then(writeManifest).then(writeGraph).then(finish).catch(function (e) {
+                handleError(e);
+                throw e;
+            });
+        },
+
+        /**
+         * Render a view to an HTML string without writing it; call `setup()` first
+         * @param  {String} file Path to the view
+         * @param  {Object} data Context merged over the view's front-matter (optional)
+         * @return {Object} Promise resolving to the HTML of its first page
+         */
+        renderView: function (file, data) {
+            return renderPages(file, data).then(function (pages) {
+                return pages[0].html;
+            });
+        },
+
+        /**
+         * Render every page of a view without writing them; call `setup()` first
+         * @param  {String} file Path to the view
+         * @param  {Object} data Context merged over the view's front-matter (optional)
+         * @return {Object} Promise resolving to an Array of pages, each with `filePath` and `html`
+         */
+        renderPages: function (file, data) {
+            return renderPages(file, data).then(function (pages) {
+                return pages.map(function (page) {
+                    return _.pick(page, ['filePath', 'html']);
+                });
+            });
+        },
+
+        /**
+         * Render a material to an HTML string; call `setup()` first
+         * @type {Function}
+         */
+        renderMaterial: renderMaterial,
+
+        /**
+         * Render a template string, optionally in a layout; call `setup()` first
+         * @type {Function}
+         */
+        renderString: renderString,
+
+        /**
+         * Redo only the work affected by a set of changed files; call `setup()` first
+         * @param  {Array} changed Paths of the changed files
+         * @return {Object} Promise resolving to a summary of the written files; rejects with the error
+         */
+        rebuild: function (changed) {
+            return rebuild(changed).then(writeManifest).then(writeGraph).then(finish).catch(function (e) {
+                handleError(e);
+                throw e;
+            });
+        },
+
+        /**
+         * Build, then keep the assembler alive and rebuild incrementally as sources change
+         * @param  {Object} watchOptions See lib/butter-watch
+         * @return {Object} Watcher (EventEmitter) emitting `rebuild`, `done` and `error`
+         */
+        watch: function (watchOptions) {
+            return watch(this, watchOptions);
+        },
+
+        /**
+         * Build, watch, and serve `options.dest` with live reload
+         * @param  {Object} serverOptions See lib/butter-server
+         * @return {Object} Promise resolving to the running server
+         */
+        serve: function (serverOptions) {
+            return serve(this, serverOptions);
+        }
+    };
 
 };
 
 
 /**
  * Module exports
- * @return {Object} Promise
+ * @param  {Object} options User options
+ * @return {Object} Promise resolving to a summary of the written files; rejects with the error
  */
 module.exports = function (options) {
+    return createAssembler(options).build();
+};
 
-    try {
-
-        // setup assembly
-        setup(options);
+module.exports.createAssembler = createAssembler;
 
-        // assemble
-        assemble();
+/**
+ * Validate options without assembling
+ * @type {Function}
+ */
+module.exports.validate = validate;
 
-    } catch(e) {
-        handleError(e);
-    }
+/**
+ * Build and watch for changes
+ * @param  {Object} options User options
+ * @param  {Object} watchOptions See lib/butter-watch
+ * @return {Object} Watcher (EventEmitter)
+ */
+module.exports.watch = function (options, watchOptions) {
+    return createAssembler(options).watch(watchOptions);
+};
 
+/**
+ * Build, watch, and serve with live reload
+ * @param  {Object} options User options
+ * @param  {Object} serverOptions See lib/butter-server
+ * @return {Object} Promise resolving to the running server
+ */
+module.exports.serve = function (options, serverOptions) {
+    return createAssembler(options).serve(serverOptions);
 };
@@ -0,0 +1,120 @@
+/**
+ * @description Layout inheritance: inserts a page into its layout and the layouts it extends, filling their named blocks.
+ * @author Cam Tullos cam@tullos.ninja
+ */
+
+/**
+ * Required dependencies
+ */
+const _              = require('lodash');
+
+/**
+ * A named block with its content: `{% block head %}…{% endblock %}`; the name may be repeated in `endblock`
+ * @type {RegExp}
+ */
+const BLOCK = /\{%\s*block\s+([\w\-]+)\s*%\}([\s\S]*?)\{%\s*endblock(?:\s+[\w\-]+)?\s*%\}/g;
+
+/**
+ * Where the page goes in a layout
+ * @type {RegExp}
+ */
+const BODY = /\{%\s*body\s*%\}/;
+
+/**
+ * Marks where a block is filled in until every layout is composed
+ * @param  {String} name
+ * @return {String}
+ */
+const placeholder = (name) => '\u0000block:' + name + '\u0000';
+
+
+const blocks = {
+
+    /**
+     * Split a template into its named blocks and the rest
+     * @param  {String} template
+     * @return {Object} `blocks`, the content of each block by name, and `names` in the order they appear
+     */
+    parse: (template) => {
+        let found = {};
+        let names = [];
+        let match;
+
+        BLOCK.lastIndex = 0;
+
+        while ((match = BLOCK.exec(template)) !== null) {
+            if (!found.hasOwnProperty(match[1])) {
+                names.push(match[1]);
+                found[match[1]] = match[2];
+            }
+        }
+
+        return { blocks: found, names: names };
+    },
+
+    /**
+     * Separate a page's blocks from the rest of it
+     * @param  {String} page
+     * @return {Object} `blocks`, the block definitions as written, and the `rest` of the page
+     */
+    split: (page) => {
+        let found = [];
+        let rest = page.replace(BLOCK, (match) => {
+            found.push(match);
+            return '';
+        });
+
+        return { blocks: found.join('\n'), rest: rest };
+    },
+
+    /**
+     * Insert a page into its layouts.
+     * The page's blocks fill the blocks of its layouts; the rest of the page goes where `{% body %}` is.
+     * A layout's blocks are filled in place with their own content as the default,
+     * unless a layout it extends has a block with the same name: then they fill that block, like a page's.
+     * @param  {String} page
+     * @param  {Array} layouts Contents of the page's layout and the layouts it extends, nearest first
+     * @return {String}
+     */
+    compose: (page, layouts) => {
+        let templates = [page].concat(layouts);
+        let parsed = templates.map(blocks.parse);
+        let fills = {};
+        let body = '';
+
+        templates.forEach((template, i) => {
+            let above = _.flatMap(parsed.slice(i + 1), 'names');
+
+            // the nearest definition of a block wins
+            _.defaults(fills, parsed[i].blocks);
+
+            // blocks of the page, and of layouts overriding a block above them, only fill
+            let rest = template.replace(BLOCK, (match, name) => {
+                return (i === 0 || above.indexOf(name) > -1) ? '' : placeholder(name);
+            });
+
+            body = (i === 0) ? rest : rest.replace(BODY, () => body);
+        });
+
+        return body.replace(/\u0000block:([\w\-]+)\u0000/g, (match, name) => fills[name]);
+    },
+
+    /**
+     * Find the blocks a page fills that none of its layouts define
+     * @param  {String} page
+     * @param  {Array} layouts See `blocks.compose`
+     * @return {Array} Names
+     */
+    unused: (page, layouts) => {
+        let defined = _.flatMap(layouts.map(blocks.parse), 'names');
+        return blocks.parse(page).names.filter((name) => defined.indexOf(name) < 0);
+    }
+
+};
+
+
+
+/**
+ * Exports
+ */
+module.exports = blocks;
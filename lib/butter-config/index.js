@@ -0,0 +1,95 @@
+/**
+ * @description Finds and loads a project's butter-assemble configuration.
+ * @author Cam Tullos cam@tullos.ninja
+ */
+
+/**
+ * Required dependencies
+ */
+const _              = require('lodash');
+const fs             = require('fs');
+const io             = require('../butter-io');
+const path           = require('path');
+
+/**
+ * Config files, in the order they're looked for
+ * @type {Array}
+ */
+const FILES = ['butter.config.js', '.butterrc.json', 'package.json'];
+
+const config = {
+
+    /**
+     * Read a single config file
+     * @param  {String} file Absolute path
+     * @return {Object} Promise resolving to the options; `null` if the file holds no config
+     */
+    read: (file) => {
+        if (path.extname(file) === '.js') {
+            return Promise.resolve().then(() => {
+                delete require.cache[require.resolve(file)];
+                return require(file);
+            });
+        }
+
+        return io.readFile(file).then((content) => {
+            let json;
+
+            try {
+                json = JSON.parse(content);
+            } catch (e) {
+                throw new Error('Unable to parse ' + file + ': ' + e.message);
+            }
+
+            // package.json only counts when it has a `butter` key
+            if (path.basename(file) === 'package.json') {
+                return (_.isPlainObject(json.butter)) ? json.butter : null;
+            }
+
+            return json;
+        });
+    },
+
+    /**
+     * Load the project config
+     * @param  {String} cwd Directory to look in
+     * @param  {String} file Explicit config file (optional)
+     * @return {Object} Promise resolving to `{file, options}`; `file` is null when no config was found
+     */
+    load: (cwd, file) => {
+        cwd = path.resolve(cwd || process.cwd());
+
+        if (file) {
+            file = path.resolve(cwd, file);
+            return config.read(file).then((options) => {
+                return { file: file, options: options || {} };
+            });
+        }
+
+        // try each candidate in turn
+        return FILES.reduce((found, name) => {
+            return found.then((result) => {
+                let candidate = path.join(cwd, name);
+
+                if (result || !fs.existsSync(candidate)) {
+                    return result;
+                }
+
+                return config.read(candidate).then((options) => {
+                    return (options) ? { file: candidate, options: options } : null;
+                });
+            });
+        }, Promise.resolve(null)).then((result) => {
+            return result || { file: null, options: {} };
+        });
+    }
+
+};
+
+
+
+/**
+ * Exports
+ */
+module.exports = config;
+module.exports.FILES = FILES;
@@ -6,135 +6,282 @@
 /**
  * Required dependencies
  */
-const globby         = require('globby');
-const fs             = require('fs');
-const path           = require('path');
+const crypto         = require('crypto');
+const errors         = require('../butter-error');
+const html           = require('../butter-html');
+const io             = require('../butter-io');
 const _              = require('lodash');
 const matter         = require('gray-matter');
+const path           = require('path');
 const yaml           = require('js-yaml');
-const beautify_js    = require('js-beautify');
 const log = console.log.bind(console);
 
+/**
+ * Attributes matched against `dna` selectors, besides `id`, `class` and `data-dna`
+ * @type {Object}
+ */
+const defaults = {
+    attributes: []
+};
+
 const dna = {
 
-    getMatter: function (file) {
-        return matter.read(file, {
-            parser: require('js-yaml').safeLoad
+    parseMatter: function (content) {
+        return matter(content, {
+            parser: yaml.safeLoad
         });
     },
 
-    link: function (str) {
+    /**
+     * Parse a material for the index, reusing the cached entry when its content hasn't changed
+     * @param  {String} file Path to the material
+     * @param  {String} source The whole file
+     * @param  {Object} parsed The material's gray-matter object, `data` and `content` (optional; parsed from `source` when missing)
+     * @param  {Object} cache Entries of earlier builds, keyed by file (optional)
+     * @return {Object} `file`, `hash`, declared selectors (`props`), template `tokens` and their line `offset`
+     */
+    entry: (file, source, parsed, cache) => {
+        let hash = crypto.createHash('sha1').update(source).digest('hex');
+        let cached = (cache) ? cache[file] : null;
 
-        let a = str.split('.');
-        let e = a.pop();
-        let l;
+        if (cached && cached.hash === hash) {
+            return cached;
+        }
 
-        a = a.join('.').split('/');
+        // the front-matter is only parsed here when the caller hasn't already
+        parsed = parsed || dna.parseMatter(source);
 
-        l = [a[2], '.', e];
+        let declared = parsed.data.dna;
+        let entry = {
+            file: file,
+            hash: hash,
+            props: (declared === undefined) ? [] : _.uniq(_.castArray(declared)),
+            tokens: html.tokenize(parsed.content),
+            offset: errors.lineOffset(source, parsed.content)
+        };
 
-        if (a[3]) {
-            l.push('#', a[3]);
+        if (cache) {
+            cache[file] = entry;
         }
 
-        if (a[4]) {
-            l.push('.', a[4]);
-        }
+        return entry;
+    },
 
-        l = l.join('');
+    /**
+     * Read and parse materials for the index; files whose modification time is unchanged aren't read again
+     * @param  {Array} files Paths of the materials
+     * @param  {Object} cache Entries of earlier builds, keyed by file
+     * @return {Object} Promise resolving to an Array of entries, in the order of `files`
+     */
+    load: (files, cache) => {
+        cache = cache || {};
 
-        return l;
+        return Promise.all(files.map((file) => {
+            return io.stat(file).then((stats) => {
+                let cached = cache[file];
+
+                if (cached && cached.mtime === stats.mtime.getTime()) {
+                    return cached;
+                }
+
+                return io.readFile(file).then((source) => {
+                    let entry = dna.entry(file, source, null, cache);
+                    entry.mtime = stats.mtime.getTime();
+                    return entry;
+                });
+            });
+        }));
     },
 
-    scan: (file, files, data) => {
-        data['file'] = file.split('/').pop();
+    /**
+     * Index which materials declare and use each selector, in one pass over every material
+     * @param  {Array} entries Parsed materials (see `dna.entry`), in build order
+     * @param  {Object} settings `attributes` to match besides `id`, `class` and `data-dna`
+     * @param  {Function} link Get the `link` of a material from its file (optional; defaults to the file name without extension)
+     * @return {Object} Index with `helix(file)`, `edges()` and `unused()` methods
+     */
+    index: (entries, settings, link) => {
+        let attributes = _.assign({}, defaults, settings).attributes;
 
-        // Get dependents
-        if (data.hasOwnProperty('dna')) {
+        link = link || ((file) => path.basename(file, path.extname(file)));
 
-            let props = (_.isArray(data.dna)) ? data.dna : [data.dna];
-            let helix = [];
-            _.without(files, file).forEach((f) => {
-                let cont    = String(fs.readFileSync(f, 'utf-8'));
-                let m       = dna.scanFile(cont, props);
-                if (m !== null) {
-                    helix.push({file: f.split('/').pop(), tags: m, link: dna.link(f), count: m.length});
-                }
+        // `String` keys, so lookups never hit Object.prototype
+        const key = (value) => '$' + value;
+
+        let declarers = {};
+        let declared = {};
+        let users = {};
+        let found = {};
+        let position = {};
+
+        entries.forEach((entry, i) => {
+            position[entry.file] = i;
+            declared[entry.file] = entry.props;
+
+            entry.props.forEach((prop) => {
+                (declarers[key(prop)] = declarers[key(prop)] || []).push(entry);
             });
 
-            if (helix.length > 0) {
-                if (!data.hasOwnProperty('helix')) {
-                    data['helix'] = {};
-                }
+            found[entry.file] = dna.scanFile(entry, attributes);
+            found[entry.file].forEach((match) => {
+                (users[key(match.value)] = users[key(match.value)] || []).push(match);
+            });
+        });
 
-                data['helix']['dependents'] = helix;
-            }
-        }
+        // group matches by a material, in build order, keeping document order within a file
+        const group = (matches, fileOf) => {
+            let groups = _.groupBy(_.sortBy(matches, 'order'), fileOf);
+
+            return _.sortBy(_.keys(groups), (file) => position[file]).map((file) => ({ file: file, matches: groups[file] }));
+        };
+
+        // matches of the materials that use the selectors a material declares, grouped by the using material
+        const dependents = (file) => {
+            return group(_.flatMap(declared[file] || [], (prop) => users[key(prop)] || []).filter((match) => match.file !== file), 'file');
+        };
+
+        // matches of the selectors a material uses, grouped by the declaring material
+        const dependencies = (file) => {
+            return group(_.flatMap(found[file] || [], (match) => {
+                return (declarers[key(match.value)] || []).filter((entry) => entry.file !== file).map((entry) => {
+                    return _.assign({ declarer: entry.file }, match);
+                });
+            }), 'declarer');
+        };
+
+        const strand = (found) => dna.strand(found.file, found.matches, link(found.file));
 
-        // Get dependencies
-        let cont = String(fs.readFileSync(file, 'utf-8'));
-        let helix = [];
-        _.without(files, file).forEach((f) => {
-            let d = dna.getMatter(f);
-            d = d.data;
-            if (d.hasOwnProperty('dna')) {
-                let props = (_.isArray(d.dna)) ? d.dna : [d.dna];
-
-                let m = dna.scanFile(cont, props);
-                if (m !== null) {
-                    helix.push({file: f.split('/').pop(), tags: m, link: dna.link(f), count: m.length});
+        return {
+
+            /**
+             * Get the dependency helix of a material
+             * @param  {String} file
+             * @return {Object} `dependents` (materials using its selectors) and `dependency` (materials whose selectors it uses), when there are any
+             */
+            helix: (file) => {
+                let helix = {};
+                let using = dependents(file).map(strand);
+                let used = dependencies(file).map(strand);
+
+                if (using.length > 0) {
+                    helix.dependents = using;
+                }
+
+                if (used.length > 0) {
+                    helix.dependency = used;
                 }
+
+                return helix;
+            },
+
+            /**
+             * Get every dependency between two materials
+             * @return {Array} `from` (the using material), `to` (the declaring material) and the matched `tags`, in build order
+             */
+            edges: () => {
+                return _.flatMap(entries, (entry) => dependencies(entry.file).map((found) => ({
+                    from: entry.file,
+                    to: found.file,
+                    tags: _.uniq(_.map(found.matches, 'tag'))
+                })));
+            },
+
+            /**
+             * Get the selectors declared in `dna` that no other material uses
+             * @return {Array} `file` and `selector` of each, in build order
+             */
+            unused: () => {
+                return _.flatMap(entries, (entry) => entry.props.filter((prop) => {
+                    return !_.some(users[key(prop)], (match) => match.file !== entry.file);
+                }).map((prop) => ({ file: entry.file, selector: prop })));
             }
+
+        };
+    },
+
+    /**
+     * Find the materials a material depends on, and the materials that depend on it
+     * @param  {String} file Path to the material
+     * @param  {Array} files Paths of every material
+     * @param  {Object} data The material's front-matter; `dna` lists the selectors it declares
+     * @param  {Object} settings `attributes` to match besides `id`, `class` and `data-dna`
+     * @param  {Object} cache Entries of earlier scans, keyed by file (optional)
+     * @return {Object} Promise resolving to `data` with a `helix` of `dependents` and `dependency`
+     */
+    scan: (file, files, data, settings, cache) => {
+        return dna.load(files, cache).then((entries) => {
+            return dna.apply(data, file, dna.index(entries, settings));
         });
-        if (helix.length > 0) {
-            if (!data.hasOwnProperty('helix')) {
-                data['helix'] = {};
-            }
-            data['helix']['dependency'] = helix;
+    },
+
+    /**
+     * Add a material's file name and helix to its data
+     * @param  {Object} data The material's front-matter
+     * @param  {String} file Path to the material
+     * @param  {Object} index See `dna.index`
+     * @return {Object} data
+     */
+    apply: (data, file, index) => {
+        let helix = index.helix(file);
+
+        data['file'] = file.split('/').pop();
+
+        if (!_.isEmpty(helix)) {
+            data['helix'] = _.assign({}, data['helix'], helix);
         }
 
         return data;
     },
 
-    scanFile: (content, props) => {
-        let matches = [];
-        let findTag = /<[^\/].*?>/g;
-        let element = findTag.exec(content);
-
-        while (element) {
-            element = element[0];
-
-            // Match id attribute
-            let id = (element.match(/id s=["|'](.*?)["|']/i) || [, ""])[1];
-            if (id) {
-                let p = '#';
-                let i = _.intersection([id], props);
-                i.forEach((m) => { matches.push(p + m); });
-            }
+    /**
+     * Describe the matches of one material in a helix
+     * @param  {String} file The matching material
+     * @param  {Array} matches `tag` and `line` of each match
+     * @param  {String} link Id of the matching material
+     * @return {Object} `file`, unique `tags`, `link`, `count` (of unique tags) and `lines` of each tag
+     */
+    strand: (file, matches, link) => {
+        let tags = _.uniq(_.map(matches, 'tag'));
 
-            // Match data-dna attribute
-            let cmp = (element.match(/data-dna=["|'](.*?)["|']/i) || [, ""])[1];
-            if (cmp) {
-                let p = 'data-dna=';
-                let i = _.intersection([cmp], props);
-                i.forEach((m) => { matches.push(p + m); });
-            }
+        return {
+            file: file.split('/').pop(),
+            tags: tags,
+            link: link,
+            count: tags.length,
+            lines: _.mapValues(_.groupBy(matches, 'tag'), (found) => _.uniq(_.map(found, 'line')))
+        };
+    },
 
-            // Match class attribute
-            let classes = (element.match(/class=["|'](.*?)["|']/i) || [,""])[1].split(' ');
-            classes = _.compact(classes);
-            if (classes.length > 0) {
-                let p = '.';
-                let i = _.intersection(_.compact(classes), props);
-                i.forEach((m) => { matches.push(p + m); });
+    /**
+     * Find every attribute value of a material that can match a `dna` selector
+     * @param  {Object} entry See `dna.entry`; `tokens` and `offset`
+     * @param  {Array} attributes Other attributes to match, e.g. `role` matches `role="button"`
+     * @return {Array} `value` (e.g. `button`), `tag` (e.g. `.button`), 1-based `line` and document `order` of each match
+     */
+    scanFile: (entry, attributes) => {
+        let matches = [];
+
+        const add = (prefix, value, line) => {
+            if (value !== null) {
+                matches.push({ file: entry.file, value: value, tag: prefix + value, line: line + entry.offset, order: matches.length });
             }
+        };
 
-            element = findTag.exec(content);
-        }
+        entry.tokens.forEach((token) => {
+            token.attributes.forEach((attribute) => {
+                let name = attribute.name;
 
-        matches = _.uniq(matches);
+                if (name === 'class') {
+                    html.words(attribute.value).forEach((word) => add('.', word, attribute.line));
+                } else if (name === 'id') {
+                    add('#', html.text(attribute.value), attribute.line);
+                } else if (name === 'data-dna' || (attributes || []).indexOf(name) > -1) {
+                    add(name + '=', html.text(attribute.value), attribute.line);
+                }
+            });
+        });
 
-        return (matches.length > 0) ? matches : null;
+        return matches;
     }
 
 };
@@ -145,3 +292,7 @@ const dna = {
  * Exports
  */
 module.exports = dna.scan;
+module.exports.entry = dna.entry;
+module.exports.load = dna.load;
+module.exports.index = dna.index;
+module.exports.apply = dna.apply;
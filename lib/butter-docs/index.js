@@ -0,0 +1,116 @@
+/**
+ * @description Renders docs with markdown-it, giving each heading an id, and builds their tables of contents.
+ * @author Cam Tullos cam@tullos.ninja
+ */
+
+/**
+ * Required dependencies
+ */
+const _              = require('lodash');
+
+
+/**
+ * Get the plain text of an inline token
+ * @param  {Object} token
+ * @return {String}
+ */
+const inlineText = (token) => {
+    return (token.children || []).filter((child) => child.type === 'text' || child.type === 'code_inline').map((child) => child.content).join('');
+};
+
+
+const docs = {
+
+    /**
+     * Turn a heading into an id
+     * @param  {String} text
+     * @return {String}
+     * @example
+     * 'Getting started: the basics' -> 'getting-started-the-basics'
+     */
+    slug: (text) => {
+        let slug = String(text).toLowerCase().trim()
+            .replace(/[^\p{L}\p{N}\s_\-]/gu, '')
+            .replace(/\s+/g, '-')
+            .replace(/-+/g, '-');
+
+        return slug || 'section';
+    },
+
+    /**
+     * Render a doc
+     * @param  {Object} md markdown-it instance
+     * @param  {String} source Markdown, without front-matter
+     * @param  {Object} env markdown-it environment, for plugins to leave their findings in (optional)
+     * @return {Object}
+     * - content `String` HTML, with an `id` on each heading; ids are unique within the doc
+     * - headings `Array` `level`, `id` and `title` of each heading
+     * - toc `String` Nested lists of links to the headings; empty without headings
+     */
+    render: (md, source, env) => {
+        env = env || {};
+        let tokens = md.parse(source, env);
+        let headings = [];
+        let used = {};
+
+        tokens.forEach((token, i) => {
+            if (token.type !== 'heading_open') {
+                return;
+            }
+
+            let title = inlineText(tokens[i + 1]);
+            let base = token.attrGet('id') || docs.slug(title);
+            let id = base;
+
+            // repeated headings get a number, like `usage-2`
+            for (let n = 2; used[id]; n++) {
+                id = base + '-' + n;
+            }
+
+            used[id] = true;
+            token.attrSet('id', id);
+            headings.push({ level: Number(token.tag.substr(1)), id: id, title: title });
+        });
+
+        return {
+            content: md.renderer.render(tokens, md.options, env),
+            headings: headings,
+            toc: docs.toc(headings)
+        };
+    },
+
+    /**
+     * Render headings as nested lists of links
+     * @param  {Array} headings See `docs.render`
+     * @return {String}
+     */
+    toc: (headings) => {
+        let root = { level: 0, items: [] };
+        let stack = [root];
+
+        headings.forEach((heading) => {
+            while (_.last(stack).level >= heading.level) {
+                stack.pop();
+            }
+
+            let node = _.assign({}, heading, { items: [] });
+
+            _.last(stack).items.push(node);
+            stack.push(node);
+        });
+
+        const list = (items) => '<ul>' + items.map((item) => {
+            return '<li><a href="#' + _.escape(item.id) + '">' + _.escape(item.title) + '</a>' + ((item.items.length > 0) ? list(item.items) : '') + '</li>';
+        }).join('') + '</ul>';
+
+        return (root.items.length > 0) ? list(root.items) : '';
+    }
+
+};
+
+
+
+/**
+ * Exports
+ */
+module.exports = docs;
@@ -0,0 +1,130 @@
+/**
+ * @description markdown-it plugin for live material embeds: a ```material button fence renders the material,
+ * next to its highlighted Handlebars source and rendered HTML.
+ * @author Cam Tullos cam@tullos.ninja
+ */
+
+/**
+ * Required dependencies
+ */
+const _              = require('lodash');
+const yaml           = require('js-yaml');
+
+/**
+ * Hash arguments of the fence's info string: key=value, where value may be quoted
+ * @type {RegExp}
+ */
+const HASH = /([^\s=]+)=(?:"([^"]*)"|'([^']*)'|(\S+))/g;
+
+
+const embed = {
+
+    /**
+     * Read the info string of a fence
+     * @param  {String} info e.g. `material button variant=disabled label="Sign up"`
+     * @param  {String} name Name of the fence, the same as the `material` helper's
+     * @return {Object} `name` of the material and its `hash` arguments; null when the fence isn't an embed
+     */
+    parse: (info, name) => {
+        let words = String(info).trim().split(/\s+/);
+
+        if (words[0] !== name || !words[1]) {
+            return null;
+        }
+
+        let rest = String(info).trim().slice(words[0].length).trim().slice(words[1].length);
+        let hash = {};
+        let match;
+
+        HASH.lastIndex = 0;
+
+        while ((match = HASH.exec(rest)) !== null) {
+            let quoted = (match[2] !== undefined) ? match[2] : match[3];
+
+            // unquoted values may be numbers or booleans
+            hash[match[1]] = (quoted !== undefined) ? quoted : yaml.safeLoad(match[4]);
+        }
+
+        return { name: words[1], hash: hash };
+    },
+
+    /**
+     * Lay out an embed
+     * @param  {Object} example
+     * - name `String` Material name
+     * - html `String` Rendered material
+     * - source `String` Handlebars source, highlighted
+     * - code `String` Rendered HTML, highlighted
+     * @return {String}
+     */
+    markup: (example) => {
+        return [
+            '<figure class="butter-embed" data-material="' + _.escape(example.name) + '">',
+            '<div class="butter-embed__preview">\n' + example.html + '\n</div>',
+            '<pre class="butter-embed__source"><code class="language-handlebars">' + example.source + '</code></pre>',
+            '<pre class="butter-embed__html"><code class="language-html">' + example.code + '</code></pre>',
+            '</figure>',
+            ''
+        ].join('\n');
+    },
+
+    /**
+     * The plugin; other fences keep their usual rendering
+     * @param  {Object} md markdown-it instance
+     * @param  {Object} settings
+     * - name `String` Name of the fence
+     * - render `Function` Renders a material from its name, context and hash; throws when it's missing
+     * - source `Function` Gets the Handlebars source of a material from its name
+     * - highlight `Function` Highlights code from the code and its language; returns escaped HTML
+     * The names of the embedded materials are collected in `env.embeds` when rendering with an `env`.
+     * @example
+     * ```material button variant=disabled
+     * label: Sign up
+     * ```
+     */
+    plugin: (md, settings) => {
+        let fence = md.renderer.rules.fence;
+
+        md.renderer.rules.fence = (tokens, idx, opts, env, self) => {
+            let token = tokens[idx];
+            let call = embed.parse(token.info, settings.name);
+
+            if (!call) {
+                return fence(tokens, idx, opts, env, self);
+            }
+
+            try {
+                // the fence's content is the material's context, in YAML
+                let context = (token.content.trim()) ? yaml.safeLoad(token.content) : {};
+
+                if (!_.isPlainObject(context)) {
+                    throw new Error('The content should be YAML data, like "label: Sign up"');
+                }
+
+                let html = settings.render(call.name, context, call.hash);
+
+                if (env) {
+                    env.embeds = (env.embeds || []).concat(call.name);
+                }
+
+                return embed.markup({
+                    name: call.name,
+                    html: html,
+                    source: settings.highlight(settings.source(call.name), 'handlebars'),
+                    code: settings.highlight(html, 'html')
+                });
+            } catch (e) {
+                e.message = 'The "' + settings.name + ' ' + call.name + '" block on line ' + (token.map[0] + 1) + ': ' + e.message;
+                throw e;
+            }
+        };
+    }
+
+};
+
+
+
+/**
+ * Exports
+ */
+module.exports = embed;
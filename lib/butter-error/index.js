@@ -0,0 +1,210 @@
+/**
+ * @description Structured build errors with phase, source file, position, and a code frame.
+ * @author Cam Tullos cam@tullos.ninja
+ */
+
+/**
+ * Required dependencies
+ */
+const _              = require('lodash');
+const chalk          = require('chalk');
+
+/**
+ * Lines of context shown above and below the offending line
+ * @type {Number}
+ */
+const FRAME_CONTEXT = 2;
+
+
+/**
+ * A failure while assembling a single source file
+ * @property {String} phase `options`, `layout`, `data`, `material`, `view` or `doc`
+ * @property {String} file Path of the source file
+ * @property {Number} line 1-based line in the source file (when known)
+ * @property {Number} column 1-based column in the source file (when known)
+ * @property {String} frame Code frame of the offending lines (when known)
+ * @property {String} reason Message of the original error
+ * @property {Object} cause The original error
+ */
+class AssemblyError extends Error {
+
+    constructor(props) {
+        super(props.reason);
+        this.name = 'AssemblyError';
+        _.assign(this, props);
+        this.message = location(this) + ' - ' + this.reason;
+    }
+
+}
+
+
+/**
+ * Every failure of a build that kept going after errors (`bail: false`)
+ * @property {Array} errors AssemblyErrors in the order they occurred
+ * @property {Object} result Summary of the files that were written anyway
+ */
+class AggregateAssemblyError extends Error {
+
+    constructor(failures, result) {
+        super(failures.length + ' error' + ((failures.length === 1) ? '' : 's') + ' occurred while assembling:\n' +
+            failures.map((e) => '  ' + e.message.split('\n')[0]).join('\n'));
+        this.name = 'AggregateAssemblyError';
+        this.errors = failures;
+        this.result = result;
+    }
+
+}
+
+
+/**
+ * Describe where an error happened
+ * @param  {Object} e AssemblyError
+ * @return {String}
+ * @example
+ * 'Error in view src/views/index.html:4:2'
+ */
+const location = (e) => {
+    let where = e.file || '';
+
+    if (where && e.line) {
+        where += ':' + e.line + ((e.column) ? ':' + e.column : '');
+    }
+
+    return 'Error in ' + e.phase + ((where) ? ' ' + where : '');
+};
+
+
+/**
+ * Find the position of an error in the source it came from
+ * @param  {Object} e Original error
+ * @return {Object} `line` and `column` relative to the parsed string (1-based), if known
+ */
+const position = (e) => {
+
+    // js-yaml exceptions carry a 0-based mark
+    if (e.mark && _.isNumber(e.mark.line)) {
+        return { line: e.mark.line + 1, column: e.mark.column + 1 };
+    }
+
+    // Handlebars exceptions with a location (e.g. mismatched blocks)
+    if (_.isNumber(e.lineNumber)) {
+        return { line: e.lineNumber, column: (_.isNumber(e.column)) ? e.column + 1 : undefined };
+    }
+
+    // Handlebars parse errors only report their line in the message
+    let match = String(e.message).match(/^Parse error on line (\d+):/);
+    if (match) {
+        return { line: Number(match[1]) };
+    }
+
+    return {};
+};
+
+
+/**
+ * Build a code frame around a line
+ * @param  {String} source
+ * @param  {Number} line 1-based
+ * @param  {Number} column 1-based (optional)
+ * @return {String}
+ */
+const frame = (source, line, column) => {
+    let lines = String(source).split(/\r?\n/);
+    let start = Math.max(line - FRAME_CONTEXT, 1);
+    let end = Math.min(line + FRAME_CONTEXT, lines.length);
+    let width = String(end).length;
+    let output = [];
+
+    for (let n = start; n <= end; n++) {
+        let gutter = _.padStart(String(n), width) + ' | ';
+        output.push(((n === line) ? '> ' : '  ') + gutter + lines[n - 1]);
+
+        if (n === line && column) {
+            output.push('  ' + _.repeat(' ', width) + ' | ' + _.repeat(' ', column - 1) + '^');
+        }
+    }
+
+    return output.join('\n');
+};
+
+
+/**
+ * Count the lines in `source` before `content` starts
+ * @param  {String} source The whole file
+ * @param  {String} content A trailing part of the file (e.g. the body after front-matter)
+ * @return {Number}
+ */
+const lineOffset = (source, content) => {
+    let index = String(source).lastIndexOf(content);
+    return (index > 0) ? source.substr(0, index).split('\n').length - 1 : 0;
+};
+
+
+/**
+ * Turn any error into an AssemblyError
+ * @param  {Object} e The error
+ * @param  {Object} props
+ * - phase `String`
+ * - file `String`
+ * - source `String` The whole source file, for the code frame
+ * - offset `Number` Lines in the source file before the string that failed to parse
+ * @return {Object} AssemblyError; existing AssemblyErrors only get missing props filled in
+ */
+const create = (e, props) => {
+    props = props || {};
+
+    if (e instanceof AssemblyError) {
+        _.defaults(e, _.pick(props, ['phase', 'file']));
+        e.message = location(e) + ' - ' + e.reason;
+        return e;
+    }
+
+    let pos = position(e);
+    let line = (pos.line) ? pos.line + (props.offset || 0) : undefined;
+
+    return new AssemblyError({
+        phase: props.phase,
+        file: props.file,
+        line: line,
+        column: pos.column,
+        frame: (line && props.source !== undefined) ? frame(props.source, line, pos.column) : undefined,
+        reason: (e && e.message) || String(e),
+        cause: e,
+        stack: e && e.stack
+    });
+};
+
+
+/**
+ * Format an error for the console, including code frames
+ * @param  {Object} e
+ * @return {String}
+ */
+const format = (e) => {
+    if (e instanceof AggregateAssemblyError) {
+        return chalk.bold.red('Error (butter-assemble): ' + e.errors.length + ' error(s) occurred while assembling\n') +
+            e.errors.map(format).join('\n');
+    }
+
+    if (e instanceof AssemblyError) {
+        return chalk.bold.red('Error (butter-assemble): ' + location(e)) + '\n' +
+            e.reason.replace(/^Parse error on line \d+:/, 'Parse error:').replace(/^/gm, '  ') + '\n' +
+            ((e.frame) ? e.frame + '\n' : '');
+    }
+
+    return chalk.bold.red('Error (butter-assemble): ' + e.message + '\n') + e.stack;
+};
+
+
+
+/**
+ * Exports
+ */
+module.exports = {
+    AssemblyError: AssemblyError,
+    AggregateAssemblyError: AggregateAssemblyError,
+    create: create,
+    format: format,
+    frame: frame,
+    lineOffset: lineOffset
+};
@@ -0,0 +1,233 @@
+/**
+ * @description Material dependency graph: adjacency lists, Graphviz DOT, an HTML report, cycles, orphans and impact queries.
+ * @author Cam Tullos cam@tullos.ninja
+ */
+
+/**
+ * Required dependencies
+ */
+const _              = require('lodash');
+const io             = require('../butter-io');
+const path           = require('path');
+
+/**
+ * Find the strongly connected components of the graph with more than one material (Tarjan's algorithm)
+ * @param  {Array} ids
+ * @param  {Object} out Ids each material depends on, keyed by id
+ * @return {Array} Cycles, each a sorted Array of ids
+ */
+const components = (ids, out) => {
+    let index = {};
+    let low = {};
+    let stack = [];
+    let onStack = {};
+    let counter = 0;
+    let cycles = [];
+
+    const connect = (id) => {
+        index[id] = low[id] = counter++;
+        stack.push(id);
+        onStack[id] = true;
+
+        out[id].forEach((next) => {
+            if (index[next] === undefined) {
+                connect(next);
+                low[id] = Math.min(low[id], low[next]);
+            } else if (onStack[next]) {
+                low[id] = Math.min(low[id], index[next]);
+            }
+        });
+
+        if (low[id] === index[id]) {
+            let component = [];
+            let member;
+
+            do {
+                member = stack.pop();
+                onStack[member] = false;
+                component.push(member);
+            } while (member !== id);
+
+            if (component.length > 1) {
+                cycles.push(component.sort());
+            }
+        }
+    };
+
+    ids.forEach((id) => {
+        if (index[id] === undefined) {
+            connect(id);
+        }
+    });
+
+    return _.sortBy(cycles, (cycle) => cycle[0]);
+};
+
+
+/**
+ * Quote an id for DOT
+ * @param  {String} id
+ * @return {String}
+ */
+const quote = (id) => '"' + String(id).replace(/(["\\])/g, '\\$1') + '"';
+
+
+const graph = {
+
+    /**
+     * Build the graph
+     * @param  {Object} input
+     * - materials `Array` `id`, `name` and `file` of each material
+     * - edges `Array` `from` and `to` (ids; `from` depends on `to`) and the matched `tags`
+     * - unused `Array` `id` and `selector` of each `dna` selector no other material uses
+     * @return {Object} `materials`, `edges`, `unused`, `cycles` and `orphans` (ids of materials nothing depends on)
+     */
+    create: (input) => {
+        let materials = _.sortBy(input.materials, 'id');
+        let ids = _.map(materials, 'id');
+        let edges = _.sortBy(input.edges.filter((edge) => ids.indexOf(edge.from) > -1 && ids.indexOf(edge.to) > -1), ['from', 'to']);
+        let out = _.zipObject(ids, ids.map((id) => _.uniq(_.map(_.filter(edges, { from: id }), 'to'))));
+        let depended = _.uniq(_.map(edges, 'to'));
+
+        return {
+            materials: materials,
+            edges: edges,
+            unused: _.sortBy(input.unused, ['id', 'selector']),
+            cycles: components(ids, out),
+            orphans: ids.filter((id) => depended.indexOf(id) < 0)
+        };
+    },
+
+    /**
+     * Get the adjacency lists of the graph
+     * @param  {Object} g See `graph.create`
+     * @return {Object} `dependencies` and `dependents` of each material, keyed by id
+     */
+    adjacency: (g) => {
+        return _.zipObject(_.map(g.materials, 'id'), g.materials.map((material) => ({
+            dependencies: _.uniq(_.map(_.filter(g.edges, { from: material.id }), 'to')),
+            dependents: _.uniq(_.map(_.filter(g.edges, { to: material.id }), 'from'))
+        })));
+    },
+
+    /**
+     * Find every material affected by a change to one material: its dependents, their dependents, and so on
+     * @param  {Object} g See `graph.create`
+     * @param  {String} id
+     * @return {Array} Ids, nearest first
+     */
+    impacted: (g, id) => {
+        let found = [];
+        let queue = [id];
+
+        while (queue.length > 0) {
+            let current = queue.shift();
+
+            _.sortBy(_.uniq(_.map(_.filter(g.edges, { to: current }), 'from'))).forEach((dependent) => {
+                if (dependent !== id && found.indexOf(dependent) < 0) {
+                    found.push(dependent);
+                    queue.push(dependent);
+                }
+            });
+        }
+
+        return found;
+    },
+
+    /**
+     * Serialize the graph for tools
+     * @param  {Object} g See `graph.create`
+     * @return {Object} `materials` (adjacency lists), `edges`, `cycles`, `orphans` and `unused`
+     */
+    json: (g) => {
+        return {
+            materials: graph.adjacency(g),
+            edges: g.edges,
+            cycles: g.cycles,
+            orphans: g.orphans,
+            unused: g.unused
+        };
+    },
+
+    /**
+     * Render the graph in Graphviz DOT; edges in a cycle are red, orphans are dashed
+     * @param  {Object} g See `graph.create`
+     * @return {String}
+     */
+    dot: (g) => {
+        let cyclic = (edge) => _.some(g.cycles, (cycle) => cycle.indexOf(edge.from) > -1 && cycle.indexOf(edge.to) > -1);
+        let lines = ['digraph materials {', '    rankdir=LR;', '    node [shape=box];'];
+
+        g.materials.forEach((material) => {
+            lines.push('    ' + quote(material.id) + ((g.orphans.indexOf(material.id) > -1) ? ' [style=dashed]' : '') + ';');
+        });
+
+        g.edges.forEach((edge) => {
+            let attributes = ['label=' + quote(edge.tags.join(' '))].concat((cyclic(edge)) ? ['color=red'] : []);
+            lines.push('    ' + quote(edge.from) + ' -> ' + quote(edge.to) + ' [' + attributes.join(', ') + '];');
+        });
+
+        lines.push('}');
+
+        return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Render a standalone HTML report of the graph
+     * @param  {Object} g See `graph.create`
+     * @return {String}
+     */
+    report: (g) => {
+        let adjacency = graph.adjacency(g);
+        let e = _.escape;
+        let list = (ids) => (ids.length > 0) ? ids.map((id) => '<a href="#' + e(id) + '">' + e(id) + '</a>').join(', ') : '&mdash;';
+        let section = (title, items, empty) => '<h2>' + title + ' (' + items.length + ')</h2>\n' +
+            ((items.length > 0) ? '<ul>\n' + items.map((item) => '<li>' + item + '</li>').join('\n') + '\n</ul>' : '<p>' + empty + '</p>');
+
+        return [
+            '<!DOCTYPE html>',
+            '<html lang="en">',
+            '<head>',
+            '<meta charset="utf-8">',
+            '<title>Material dependencies</title>',
+            '<style>body{font-family:sans-serif;margin:2em}table{border-collapse:collapse}td,th{border:1px solid #ccc;padding:.3em .6em;text-align:left;vertical-align:top}.problem{color:#b00}</style>',
+            '</head>',
+            '<body>',
+            '<h1>Material dependencies</h1>',
+            section('Cycles', g.cycles.map((cycle) => '<span class="problem">' + list(cycle) + '</span>'), 'No dependency cycles.'),
+            section('Orphans', g.orphans.map((id) => list([id])), 'Every material is used by another material.'),
+            section('Unused selectors', g.unused.map((item) => '<code>' + e(item.selector) + '</code> in ' + list([item.id])), 'Every declared selector is used.'),
+            '<h2>Materials</h2>',
+            '<table>',
+            '<tr><th>Material</th><th>Depends on</th><th>Used by</th></tr>',
+            g.materials.map((material) => '<tr id="' + e(material.id) + '"><td>' + e(material.id) + '<br><small>' + e(material.file) + '</small></td>' +
+                '<td>' + list(adjacency[material.id].dependencies) + '</td><td>' + list(adjacency[material.id].dependents) + '</td></tr>').join('\n'),
+            '</table>',
+            '</body>',
+            '</html>',
+            ''
+        ].join('\n');
+    },
+
+    /**
+     * Write the JSON, DOT and HTML outputs of the graph
+     * @param  {String} dir
+     * @param  {Object} g See `graph.create`
+     * @return {Object} Promise resolving to an Array of the written files
+     */
+    write: (dir, g) => {
+        return Promise.all([
+            io.writeFile(path.join(dir, 'graph.json'), JSON.stringify(graph.json(g), null, 2) + '\n'),
+            io.writeFile(path.join(dir, 'graph.dot'), graph.dot(g)),
+            io.writeFile(path.join(dir, 'index.html'), graph.report(g))
+        ]);
+    }
+
+};
+
+
+
+/**
+ * Exports
+ */
+module.exports = graph;
@@ -0,0 +1,123 @@
+/**
+ * @description Built-in syntax highlighter for HTML and Handlebars; wraps tags, attributes, strings, mustaches and comments in spans.
+ * @author Cam Tullos cam@tullos.ninja
+ */
+
+/**
+ * Required dependencies
+ */
+const _              = require('lodash');
+
+/**
+ * Languages highlighted as markup; anything else is only escaped
+ * @type {Array}
+ */
+const MARKUP_LANGUAGES = ['html', 'handlebars', 'hbs', 'xml', 'svg'];
+
+/**
+ * Comments, mustaches and tags, each with their attributes
+ * @type {RegExp}
+ */
+const MARKUP = /(\{\{!--[\s\S]*?--\}\}|\{\{![\s\S]*?\}\}|<!--[\s\S]*?-->)|(\{\{\{?[\s\S]*?\}?\}\})|(<\/?[a-zA-Z][^\s\/>{]*)((?:\{\{[\s\S]*?\}\}|[^>])*?)(\/?>)/g;
+
+/**
+ * Mustaches, strings and attribute names inside a tag
+ * @type {RegExp}
+ */
+const ATTRIBUTE = /(\{\{\{?[\s\S]*?\}?\}\})|("[^"]*"|'[^']*')|([^\s="'{}\/]+)/g;
+
+
+/**
+ * Wrap a piece of code in a span
+ * @param  {String} type Token type; the span's class is `hl-<type>`
+ * @param  {String} text
+ * @return {String}
+ */
+const span = (type, text) => '<span class="hl-' + type + '">' + _.escape(text) + '</span>';
+
+
+/**
+ * Escape a string, passing each match of a pattern through a function instead
+ * @param  {String} text
+ * @param  {RegExp} pattern Global
+ * @param  {Function} fn Gets the match; returns HTML
+ * @return {String}
+ */
+const replace = (text, pattern, fn) => {
+    let html = '';
+    let last = 0;
+    let match;
+
+    pattern.lastIndex = 0;
+
+    while ((match = pattern.exec(text)) !== null) {
+        html += _.escape(text.slice(last, match.index)) + fn(match);
+        last = pattern.lastIndex;
+    }
+
+    return html + _.escape(text.slice(last));
+};
+
+
+const highlight = {
+
+    /**
+     * Highlight code
+     * @param  {String} code
+     * @param  {String} lang e.g. `html` or `handlebars`
+     * @return {String} Escaped HTML
+     * @example
+     * ('<a href="#">{{label}}</a>', 'html') ->
+     * '<span class="hl-tag">&lt;a</span> <span class="hl-attr">href</span>=<span class="hl-string">&quot;#&quot;</span>…'
+     */
+    code: (code, lang) => {
+        code = String(code);
+
+        if (!highlight.supports(lang)) {
+            return _.escape(code);
+        }
+
+        return replace(code, MARKUP, (match) => {
+            if (match[1]) {
+                return span('comment', match[1]);
+            }
+
+            if (match[2]) {
+                return span('mustache', match[2]);
+            }
+
+            let attributes = replace(match[4], ATTRIBUTE, (attribute) => {
+                if (attribute[1]) {
+                    return span('mustache', attribute[1]);
+                }
+
+                return (attribute[2]) ? span('string', attribute[2]) : span('attr', attribute[3]);
+            });
+
+            return span('tag', match[3]) + attributes + span('tag', match[5]);
+        });
+    },
+
+    /**
+     * Highlight code for markdown-it's `highlight` setting
+     * @param  {String} code
+     * @param  {String} lang
+     * @return {String} Escaped HTML; empty for languages it doesn't highlight, so markdown-it escapes them itself
+     */
+    markdown: (code, lang) => (highlight.supports(lang)) ? highlight.code(code, lang) : '',
+
+    /**
+     * Whether code in a language is highlighted, not only escaped
+     * @param  {String} lang
+     * @return {Boolean}
+     */
+    supports: (lang) => MARKUP_LANGUAGES.indexOf(String(lang).toLowerCase()) > -1
+
+};
+
+
+
+/**
+ * Exports
+ */
+module.exports = highlight;
@@ -0,0 +1,288 @@
+/**
+ * @description Tolerant HTML tokenizer that understands Handlebars mustaches.
+ * Finds start tags and partial includes with their attributes and line numbers; never throws on broken markup.
+ * @author Cam Tullos cam@tullos.ninja
+ */
+
+/**
+ * Required dependencies
+ */
+const _              = require('lodash');
+
+/**
+ * Elements whose content is raw text, not markup
+ * @type {Array}
+ */
+const RAW_TEXT = ['script', 'style', 'textarea', 'title'];
+
+/**
+ * Mustaches that only control flow (blocks, inverses, `else`, comments); they separate words in attribute values
+ * @type {RegExp}
+ */
+const CONTROL = /^\{\{~?\s*([#\/^!]|else\b)/;
+
+/**
+ * Any mustache, including triple-stashes
+ * @type {RegExp}
+ */
+const MUSTACHE = /\{\{\{?[\s\S]*?\}?\}\}/g;
+
+/**
+ * Hash arguments of a mustache: key=value, where value is a string literal or a path
+ * @type {RegExp}
+ */
+const HASH = /([^\s=()]+)=(?:"([^"]*)"|'([^']*)'|([^\s()]+))/g;
+
+
+/**
+ * Find the index past the end of a mustache
+ * @param  {String} content
+ * @param  {Number} start Index of the opening `{{`
+ * @return {Number}
+ */
+const mustacheEnd = (content, start) => {
+
+    // comments may contain anything but their own closing sequence
+    if (content.substr(start, 5) === '{{!--') {
+        let end = content.indexOf('--}}', start + 5);
+        return (end < 0) ? content.length : end + 4;
+    }
+
+    let close = (content.substr(start, 3) === '{{{') ? '}}}' : '}}';
+    let quote = null;
+
+    for (let i = start + 2; i < content.length; i++) {
+        let char = content[i];
+
+        if (quote) {
+            quote = (char === quote) ? null : quote;
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+        } else if (content.substr(i, close.length) === close) {
+            return i + close.length;
+        }
+    }
+
+    return content.length;
+};
+
+
+/**
+ * Create a function that maps an index in `content` to its 1-based line
+ * @param  {String} content
+ * @return {Function}
+ */
+const lineCounter = (content) => {
+    let breaks = [];
+
+    for (let i = content.indexOf('\n'); i > -1; i = content.indexOf('\n', i + 1)) {
+        breaks.push(i);
+    }
+
+    return (index) => _.sortedIndex(breaks, index) + 1;
+};
+
+
+/**
+ * Read the attributes of a start tag
+ * @param  {String} content
+ * @param  {Number} start Index just past the tag name
+ * @param  {Function} lineAt
+ * @return {Object} `attributes` and `end`, the index past the closing `>`
+ */
+const readAttributes = (content, start, lineAt) => {
+    let attributes = [];
+    let i = start;
+
+    // read a value up to one of the stop characters, skipping over mustaches
+    const readValue = (stop) => {
+        let from = i;
+
+        while (i < content.length && stop.indexOf(content[i]) < 0) {
+            i = (content.substr(i, 2) === '{{') ? mustacheEnd(content, i) : i + 1;
+        }
+
+        return content.slice(from, i);
+    };
+
+    while (i < content.length) {
+        let char = content[i];
+
+        if (/\s/.test(char) || char === '/') {
+            i++;
+        } else if (char === '>') {
+            return { attributes: attributes, end: i + 1 };
+        } else if (content.substr(i, 2) === '{{') {
+            // e.g. `{{#if disabled}}disabled{{/if}}`; the words between mustaches are still read as attributes
+            i = mustacheEnd(content, i);
+        } else if (char === '=') {
+            // a stray `=` without a name, e.g. `<div ="x">`; its value is skipped too
+            i += content.slice(i).match(/^=\s*("[^"]*"?|'[^']*'?|[^\s>]*)/)[0].length;
+        } else {
+            let line = lineAt(i);
+            let name = content.slice(i).match(/^[^\s=>\/{]+|^\{/)[0];
+            let value = null;
+
+            i += name.length;
+
+            // `=` may be surrounded by whitespace
+            let rest = content.slice(i).match(/^\s*=\s*/);
+            if (rest) {
+                i += rest[0].length;
+
+                if (content[i] === '"' || content[i] === '\'') {
+                    let quote = content[i++];
+                    value = readValue(quote);
+                    i++;
+                } else {
+                    value = readValue(' \t\r\n>');
+                }
+            }
+
+            attributes.push({ name: name.toLowerCase(), value: value, line: line });
+        }
+    }
+
+    // unclosed tag at the end of the content
+    return { attributes: attributes, end: content.length };
+};
+
+
+/**
+ * Read the hash arguments of a partial include as attributes
+ * @param  {String} body The mustache after the partial name, e.g. ` class="btn"}}`
+ * @param  {Number} line Line the body starts on
+ * @return {Array} Attributes; values that are paths instead of string literals are `null`
+ */
+const readHash = (body, line) => {
+    let attributes = [];
+    let match;
+
+    HASH.lastIndex = 0;
+
+    while ((match = HASH.exec(body)) !== null) {
+        let value = (match[2] !== undefined) ? match[2] : match[3];
+
+        attributes.push({
+            name: match[1].toLowerCase(),
+            value: (value !== undefined) ? value : null,
+            line: line + body.substr(0, match.index).split('\n').length - 1
+        });
+    }
+
+    return attributes;
+};
+
+
+/**
+ * Replace the mustaches of an attribute value: block mustaches with a space, output mustaches with a NUL marker
+ * @param  {String} value
+ * @return {String}
+ */
+const mark = (value) => {
+    return value.replace(MUSTACHE, (mustache) => (CONTROL.test(mustache)) ? ' ' : '\u0000');
+};
+
+
+const html = {
+
+    /**
+     * Find the start tags and partial includes in a template
+     * @param  {String} content
+     * @return {Array} Tokens in document order:
+     * - type `String` `tag` or `partial`
+     * - name `String` Tag name (lowercase) or partial name
+     * - attributes `Array` `name` (lowercase), `value` (`null` without one) and `line` of each attribute
+     * - line `Number` 1-based line the token starts on
+     */
+    tokenize: (content) => {
+        content = String(content);
+
+        let lineAt = lineCounter(content);
+        let tokens = [];
+        let i = 0;
+
+        while (i < content.length) {
+
+            // mustaches, including comments and partial includes
+            if (content.substr(i, 2) === '{{') {
+                let end = mustacheEnd(content, i);
+                let body = content.slice(i, end);
+                let partial = body.match(/^\{\{~?\s*#?>\s*("[^"]*"|'[^']*'|[^\s}~]+)/);
+
+                if (partial) {
+                    tokens.push({
+                        type: 'partial',
+                        name: partial[1].replace(/^["']|["']$/g, ''),
+                        attributes: readHash(body.slice(partial[0].length), lineAt(i + partial[0].length)),
+                        line: lineAt(i)
+                    });
+                }
+
+                i = end;
+                continue;
+            }
+
+            // html comments
+            if (content.substr(i, 4) === '<!--') {
+                let end = content.indexOf('-->', i + 4);
+                i = (end < 0) ? content.length : end + 3;
+                continue;
+            }
+
+            // start tags
+            let tag = (content[i] === '<') ? content.slice(i + 1, i + 64).match(/^[a-zA-Z][^\s\/>{]*/) : null;
+
+            if (tag) {
+                let name = tag[0].toLowerCase();
+                let result = readAttributes(content, i + 1 + tag[0].length, lineAt);
+
+                tokens.push({ type: 'tag', name: name, attributes: result.attributes, line: lineAt(i) });
+                i = result.end;
+
+                // skip to the end of raw text elements, mustaches included
+                if (RAW_TEXT.indexOf(name) > -1) {
+                    let close = content.slice(i).search(new RegExp('</' + name + '[\\s>]', 'i'));
+                    i = (close < 0) ? content.length : i + close;
+                }
+
+                continue;
+            }
+
+            i++;
+        }
+
+        return tokens;
+    },
+
+    /**
+     * Get the static words of an attribute value.
+     * Words joined to an output mustache (e.g. `btn--{{size}}`) are unknown and left out;
+     * block mustaches only separate words, so `{{#if active}}is-active{{/if}}` counts.
+     * @param  {String} value
+     * @return {Array}
+     * @example
+     * 'btn {{modifier}} {{#if active}}is-active{{/if}}' -> ['btn', 'is-active']
+     */
+    words: (value) => {
+        return (value) ? mark(value).split(/\s+/).filter((word) => word && word.indexOf('\u0000') < 0) : [];
+    },
+
+    /**
+     * Get an attribute value when it's static
+     * @param  {String} value
+     * @return {String} null when the value is missing or depends on an output mustache
+     */
+    text: (value) => {
+        let marked = (value) ? mark(value).trim() : '';
+        return (marked && marked.indexOf('\u0000') < 0) ? marked.replace(/\s+/g, ' ') : null;
+    }
+
+};
+
+
+
+/**
+ * Exports
+ */
+module.exports = html;
@@ -0,0 +1,112 @@
+/**
+ * @description Promise based file system helpers used by the assembler.
+ * @author Cam Tullos cam@tullos.ninja
+ */
+
+/**
+ * Required dependencies
+ */
+const _              = require('lodash');
+const fs             = require('fs');
+const globby         = require('globby');
+const mkdirp         = require('mkdirp');
+const path           = require('path');
+
+/**
+ * Glob characters, including extglob patterns like `@(a|b)`
+ * @type {RegExp}
+ */
+const MAGIC = /[*?[\]{}]|[!+@]\(/;
+
+const io = {
+
+    /**
+     * Get the directory a glob pattern starts from: its leading segments without glob characters
+     * @param  {String} pattern
+     * @return {String}
+     * @example
+     * './src/materials/**\/*.html' -> 'src/materials'
+     */
+    base: (pattern) => {
+        let segments = path.normalize(pattern).split(/[\\/]/);
+        let index = _.findIndex(segments, (segment) => MAGIC.test(segment));
+
+        // a plain file path starts from its directory
+        segments = (index < 0) ? segments.slice(0, -1) : segments.slice(0, index);
+
+        return segments.join('/') || '.';
+    },
+
+    /**
+     * Glob files without blocking
+     * @param  {(String|Array)} patterns
+     * @param  {Object} opts globby options
+     * @return {Object} Promise resolving to an Array of file paths
+     */
+    glob: (patterns, opts) => {
+        return globby(patterns, opts || { nodir: true });
+    },
+
+    /**
+     * Read a file as a utf-8 string
+     * @param  {String} file
+     * @return {Object} Promise resolving to the file content
+     */
+    readFile: (file) => {
+        return new Promise((resolve, reject) => {
+            fs.readFile(file, 'utf-8', (err, content) => {
+                return (err) ? reject(err) : resolve(String(content));
+            });
+        });
+    },
+
+    /**
+     * Get the stats of a file
+     * @param  {String} file
+     * @return {Object} Promise resolving to an fs.Stats object
+     */
+    stat: (file) => {
+        return new Promise((resolve, reject) => {
+            fs.stat(file, (err, stats) => {
+                return (err) ? reject(err) : resolve(stats);
+            });
+        });
+    },
+
+    /**
+     * Create a directory (and its parents) if it doesn't already exist
+     * @param  {String} dir
+     * @return {Object} Promise
+     */
+    mkdir: (dir) => {
+        return new Promise((resolve, reject) => {
+            mkdirp(dir, (err) => {
+                return (err) ? reject(err) : resolve(dir);
+            });
+        });
+    },
+
+    /**
+     * Write a file, creating its directory first
+     * @param  {String} file
+     * @param  {String} content
+     * @return {Object} Promise resolving to the file path
+     */
+    writeFile: (file, content) => {
+        return io.mkdir(path.dirname(file)).then(() => {
+            return new Promise((resolve, reject) => {
+                fs.writeFile(file, content, (err) => {
+                    return (err) ? reject(err) : resolve(file);
+                });
+            });
+        });
+    }
+
+};
+
+
+
+/**
+ * Exports
+ */
+module.exports = io;
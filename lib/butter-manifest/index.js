@@ -0,0 +1,66 @@
+/**
+ * @description Machine-readable manifest of an assembly.
+ * @author Cam Tullos cam@tullos.ninja
+ */
+
+/**
+ * Required dependencies
+ */
+const _              = require('lodash');
+const io             = require('../butter-io');
+const pkg            = require('../../package.json');
+
+/**
+ * Manifest format version; bump when the shape of the manifest changes
+ * @type {Number}
+ */
+const VERSION = 1;
+
+const manifest = {
+
+    /**
+     * Build the manifest
+     * @param  {Object} records
+     * - materials `Object` Material records keyed by file
+     * - views `Object` View records keyed by file
+     * - layouts `Object` Layout records keyed by id
+     * - includes `Object` Layout include records keyed by id
+     * - data `Object` Data files keyed by id
+     * - docs `Object` Doc records keyed by id
+     * @return {Object}
+     */
+    create: (records) => {
+        const list = (entries) => _.sortBy(_.values(entries), ['id', 'file']);
+        const files = (entries) => _.sortBy(_.map(entries, (file, id) => ({ id: id, file: file })), 'id');
+
+        return {
+            version: VERSION,
+            generator: pkg.name + '@' + pkg.version,
+            materials: list(records.materials),
+            views: list(records.views),
+            docs: list(records.docs),
+            layouts: list(records.layouts),
+            includes: list(records.includes),
+            data: files(records.data)
+        };
+    },
+
+    /**
+     * Write a manifest as JSON
+     * @param  {String} file
+     * @param  {Object} content
+     * @return {Object} Promise resolving to the file path
+     */
+    write: (file, content) => {
+        return io.writeFile(file, JSON.stringify(content, null, 2) + '\n');
+    }
+
+};
+
+
+
+/**
+ * Exports
+ */
+module.exports = manifest;
+module.exports.VERSION = VERSION;
@@ -0,0 +1,158 @@
+/**
+ * @description Declared material props: normalizes the `props` front-matter schema and checks the values a material is called with.
+ * @author Cam Tullos cam@tullos.ninja
+ */
+
+/**
+ * Required dependencies
+ */
+const _              = require('lodash');
+const validate       = require('../butter-schema');
+
+/**
+ * Types a prop can declare
+ * @type {Array}
+ */
+const TYPES = ['any', 'string', 'number', 'boolean', 'array', 'object'];
+
+/**
+ * Keys of a prop declaration
+ * @type {Array}
+ */
+const KEYS = ['type', 'required', 'default', 'enum', 'description'];
+
+/**
+ * Get the type name of a value as used in prop declarations
+ * @param  {*} value
+ * @return {String}
+ */
+const typeOf = (value) => {
+    if (_.isArray(value)) { return 'array'; }
+    if (_.isPlainObject(value)) { return 'object'; }
+    return typeof value;
+};
+
+/**
+ * Quote a list of names for a message
+ * @param  {Array} names
+ * @return {String}
+ */
+const quote = (names) => names.map((name) => '"' + name + '"').join(', ');
+
+const props = {
+
+    /**
+     * Normalize the `props` front-matter of a material
+     * @param  {Object} declared Prop declarations keyed by name; a string is shorthand for `{type: <string>}`
+     * @return {Object} Props with `type`, `required`, `default`, `enum` and `description`
+     * @example
+     * props:
+     *   label:
+     *     type: string
+     *     required: true
+     *     description: Text of the button
+     *   size:
+     *     enum: [small, medium, large]
+     *     default: medium
+     *   icon: string
+     */
+    normalize: (declared) => {
+        if (declared === undefined || declared === null) {
+            return {};
+        }
+
+        if (!_.isPlainObject(declared)) {
+            throw new Error('"props" should map each prop name to its declaration, got ' + typeOf(declared));
+        }
+
+        return _.mapValues(declared, (prop, name) => {
+            prop = (_.isString(prop)) ? { type: prop } : prop;
+
+            if (!_.isPlainObject(prop)) {
+                throw new Error('Prop "' + name + '" should be a type name or an object, got ' + typeOf(prop));
+            }
+
+            _.keys(prop).forEach((key) => {
+                if (KEYS.indexOf(key) < 0) {
+                    let suggestion = validate.suggest(key, KEYS);
+                    throw new Error('Prop "' + name + '" has unknown key "' + key + '"' + ((suggestion) ? '. Did you mean "' + suggestion + '"?' : ''));
+                }
+            });
+
+            let types = _.castArray(prop.type || 'any');
+
+            types.forEach((type) => {
+                if (TYPES.indexOf(type) < 0) {
+                    let suggestion = validate.suggest(String(type), TYPES);
+                    throw new Error('Prop "' + name + '" has unknown type "' + type + '"' + ((suggestion) ? '. Did you mean "' + suggestion + '"?' : ''));
+                }
+            });
+
+            if (prop.enum !== undefined && !_.isArray(prop.enum)) {
+                throw new Error('Prop "' + name + '" should list its "enum" values as an array');
+            }
+
+            return {
+                type: (types.length === 1) ? types[0] : types,
+                required: prop.required === true,
+                default: prop.default,
+                enum: prop.enum || null,
+                description: prop.description || ''
+            };
+        });
+    },
+
+    /**
+     * Check the values a material is called with against its props
+     * @param  {Object} declared Normalized props
+     * @param  {Object} values Context the material is rendered with (including hash arguments)
+     * @param  {Object} hash Hash arguments of the call; only these are checked for unknown props
+     * @return {Object} `problems`, an Array of messages, and `defaults`, the defaults of props without a value
+     */
+    check: (declared, values, hash) => {
+        let problems = [];
+        let defaults = {};
+        let known = _.keys(declared);
+
+        values = (_.isObject(values)) ? values : {};
+
+        _.forEach(declared, (prop, name) => {
+            let value = values[name];
+
+            if (value === undefined || value === null) {
+                if (prop.default !== undefined) {
+                    defaults[name] = prop.default;
+                } else if (prop.required) {
+                    problems.push('missing required prop "' + name + '"');
+                }
+                return;
+            }
+
+            let types = _.castArray(prop.type);
+
+            if (types.indexOf('any') < 0 && types.indexOf(typeOf(value)) < 0) {
+                problems.push('prop "' + name + '" should be ' + types.join(' or ') + ', got ' + typeOf(value));
+            } else if (prop.enum && prop.enum.indexOf(value) < 0) {
+                problems.push('prop "' + name + '" should be one of ' + quote(prop.enum) + ', got "' + value + '"');
+            }
+        });
+
+        _.keys(hash).forEach((name) => {
+            if (known.indexOf(name) < 0) {
+                let suggestion = validate.suggest(name, known);
+                problems.push('unknown prop "' + name + '"' + ((suggestion) ? '. Did you mean "' + suggestion + '"?' : ''));
+            }
+        });
+
+        return { problems: problems, defaults: defaults };
+    }
+
+};
+
+
+
+/**
+ * Exports
+ */
+module.exports = props;
+module.exports.TYPES = TYPES;
@@ -0,0 +1,183 @@
+/**
+ * @description Finds the partials, helpers and data keys a Handlebars template references.
+ * @author Cam Tullos cam@tullos.ninja
+ */
+
+/**
+ * Required dependencies
+ */
+const _              = require('lodash');
+const Handlebars     = require('handlebars');
+
+/**
+ * Block helpers that render their blocks in the current context
+ * @type {Array}
+ */
+const SAME_CONTEXT = ['if', 'unless'];
+
+
+const refs = {
+
+    /**
+     * Find what a template references
+     * @param  {(String|Object)} template Handlebars source or a parsed AST
+     * @param  {Object} settings
+     * - helpers `Array` Names of the registered helpers; tells `{{helper}}` apart from `{{data}}`
+     * - material `String` Name of the `material` helper; its calls with a string literal count as partials
+     * - resolve `Function` Get the partial id of a name the `material` helper is called with, e.g. without number prefixes (optional)
+     * @return {Object}
+     * - partials `Array` Names of the partials (and materials) included by name
+     * - helpers `Array` Names of the helpers called
+     * - data `Array` Top-level keys of the context that are read, e.g. `home` for `{{home.greeting}}`
+     * - dynamic `Boolean` Whether a partial or material is included by a computed name (e.g. `{{material @key}}`)
+     * - allData `Boolean` Whether the whole root context is read (e.g. `{{json this}}` or `@root`), so every key counts
+     */
+    scan: (template, settings) => {
+        settings = settings || {};
+
+        let ast = (_.isString(template)) ? Handlebars.parse(template) : template;
+        let helpers = settings.helpers || [];
+        let resolve = settings.resolve || _.identity;
+        let found = { partials: [], helpers: [], data: [], dynamic: false, allData: false };
+
+        // record the context key a path reads, when it reads from the root context;
+        // `this`, `..` or `@root` on their own read all of it
+        const read = (node, depth) => {
+            if (!node || node.type !== 'PathExpression') {
+                return;
+            }
+
+            if (node.data) {
+                if (node.parts[0] === 'root') {
+                    if (node.parts.length > 1) {
+                        found.data.push(node.parts[1]);
+                    } else {
+                        found.allData = true;
+                    }
+                }
+                return;
+            }
+
+            if (depth - node.depth <= 0) {
+                if (node.parts.length > 0) {
+                    found.data.push(node.parts[0]);
+                } else {
+                    found.allData = true;
+                }
+            }
+        };
+
+        // params and hash values are either paths to read or nested calls
+        const args = (node, depth) => {
+            (node.params || []).concat(_.map((node.hash) ? node.hash.pairs : [], 'value')).forEach((arg) => {
+                if (arg.type === 'SubExpression') {
+                    call(arg, depth);
+                } else {
+                    read(arg, depth);
+                }
+            });
+        };
+
+        // a mustache, block or sub-expression; returns true when it's a helper call
+        const call = (node, depth) => {
+            let name = (node.path.type === 'PathExpression') ? node.path.original : null;
+            let isHelper = node.type === 'SubExpression' || (node.params || []).length > 0 || !!node.hash ||
+                (name !== null && node.path.parts.length === 1 && helpers.indexOf(name) > -1);
+
+            if (!isHelper) {
+                read(node.path, depth);
+                return false;
+            }
+
+            found.helpers.push(name);
+            args(node, depth);
+
+            // the material helper includes a partial
+            if (name === settings.material) {
+                let first = (node.params || [])[0];
+
+                if (first && first.type === 'StringLiteral') {
+                    found.partials.push(resolve(first.value));
+                } else {
+                    found.dynamic = true;
+                }
+            }
+
+            return true;
+        };
+
+        const walk = (node, depth) => {
+            if (!node) {
+                return;
+            }
+
+            switch (node.type) {
+
+                case 'Program':
+                    node.body.forEach((child) => walk(child, depth));
+                    break;
+
+                case 'MustacheStatement':
+                    call(node, depth);
+                    break;
+
+                case 'BlockStatement':
+                case 'DecoratorBlock': {
+                    let isHelper = call(node, depth);
+                    let inner = (isHelper && SAME_CONTEXT.indexOf(node.path.original) > -1) ? depth : depth + 1;
+
+                    walk(node.program, inner);
+                    walk(node.inverse, depth);
+                    break;
+                }
+
+                case 'PartialStatement':
+                case 'PartialBlockStatement':
+                    if (node.name.type === 'PathExpression' || node.name.type === 'StringLiteral') {
+                        found.partials.push(node.name.original);
+                    } else {
+                        found.dynamic = true;
+                    }
+
+                    args(node, depth);
+                    walk(node.program, depth);
+                    break;
+            }
+        };
+
+        walk(ast, 0);
+
+        return {
+            partials: _.sortBy(_.uniq(found.partials)),
+            helpers: _.sortBy(_.uniq(_.compact(found.helpers))),
+            data: _.sortBy(_.uniq(found.data)),
+            dynamic: found.dynamic,
+            allData: found.allData
+        };
+    },
+
+    /**
+     * Merge what several templates reference
+     * @param  {Array} list Results of `refs.scan`
+     * @return {Object}
+     */
+    merge: (list) => {
+        list = _.compact(list);
+
+        return {
+            partials: _.sortBy(_.uniq(_.flatMap(list, 'partials'))),
+            helpers: _.sortBy(_.uniq(_.flatMap(list, 'helpers'))),
+            data: _.sortBy(_.uniq(_.flatMap(list, 'data'))),
+            dynamic: _.some(list, 'dynamic'),
+            allData: _.some(list, 'allData')
+        };
+    }
+
+};
+
+
+
+/**
+ * Exports
+ */
+module.exports = refs;
@@ -0,0 +1,287 @@
+/**
+ * @description Declarative schema of the assembler options and a validator with "did you mean" suggestions.
+ * @author Cam Tullos cam@tullos.ninja
+ */
+
+/**
+ * Required dependencies
+ */
+const _              = require('lodash');
+
+/**
+ * A glob, or a list of globs
+ * @type {Object}
+ */
+const GLOBS = { type: ['string', 'array'], items: { type: 'string' } };
+
+/**
+ * A hook function
+ * @type {Object}
+ */
+const HOOK = { type: 'function' };
+
+/**
+ * Option schema. Each entry has a `type` (or list of types) and optionally:
+ * - `properties` known keys of an object option
+ * - `additional` whether keys outside of `properties` are allowed (default true)
+ * - `values` schema every value of an object option must match
+ * - `items` schema every item of an array option must match
+ * @type {Object}
+ */
+const schema = {
+    layout: { type: 'string' },
+    layouts: GLOBS,
+    layoutIncludes: GLOBS,
+    views: GLOBS,
+    materials: GLOBS,
+    data: GLOBS,
+    docs: GLOBS,
+    keys: {
+        type: 'object',
+        additional: false,
+        properties: {
+            materials: { type: 'string' },
+            views: { type: 'string' },
+            docs: { type: 'string' }
+        }
+    },
+    dest: { type: 'string' },
+    beautifier: { type: 'object' },
+    helpers: { type: 'object', values: { type: 'function' } },
+    hooks: {
+        type: 'object',
+        additional: false,
+        properties: {
+            beforeLayout: HOOK,
+            layout: HOOK,
+            beforeLayoutIncludes: HOOK,
+            layoutIncludes: HOOK,
+            beforeData: HOOK,
+            data: HOOK,
+            beforeMaterials: HOOK,
+            materials: HOOK,
+            beforeTemplates: HOOK,
+            templates: HOOK,
+            beforeViews: HOOK,
+            beforeDocs: HOOK,
+            docs: HOOK,
+            assembly: HOOK
+        }
+    },
+    onError: { type: ['function', 'null'] },
+    logErrors: { type: 'boolean' },
+    bail: { type: 'boolean' },
+    strict: { type: 'boolean' },
+    props: {
+        type: 'object',
+        additional: false,
+        properties: {
+            strict: { type: 'boolean' }
+        }
+    },
+    dna: {
+        type: 'object',
+        additional: false,
+        properties: {
+            attributes: { type: 'array', items: { type: 'string' } }
+        }
+    },
+    livereload: { type: ['string', 'null'] },
+    manifest: { type: ['boolean', 'string'] },
+    previews: {
+        type: ['boolean', 'object'],
+        additional: false,
+        properties: {
+            layout: { type: 'string' },
+            dest: { type: 'string' },
+            hidden: { type: 'boolean' }
+        }
+    },
+    markdown: {
+        // any other markdown-it setting is passed through, e.g. `maxNesting`
+        type: 'object',
+        properties: {
+            html: { type: 'boolean' },
+            xhtmlOut: { type: 'boolean' },
+            breaks: { type: 'boolean' },
+            langPrefix: { type: 'string' },
+            linkify: { type: 'boolean' },
+            typographer: { type: 'boolean' },
+            quotes: { type: ['string', 'array'] },
+            highlight: { type: ['boolean', 'function', 'null'] },
+            plugins: { type: 'array', items: { type: ['function', 'array'] } }
+        }
+    },
+    code: {
+        type: ['boolean', 'object'],
+        additional: false,
+        properties: {
+            source: { type: 'boolean' },
+            html: { type: 'boolean' },
+            escaped: { type: 'boolean' },
+            path: { type: 'boolean' }
+        }
+    },
+    graph: { type: ['boolean', 'string'] },
+    baseurl: { type: 'string' }
+};
+
+/**
+ * Suggestions for names that are easy to confuse but not similarly spelled
+ * @type {Object}
+ */
+const ALIASES = {
+    'hooks.views': 'templates',
+    'hooks.beforeLayouts': 'beforeLayout',
+    'hooks.layouts': 'layout',
+    'hooks.beforeTemplate': 'beforeTemplates'
+};
+
+/**
+ * Get the type name of a value as used in the schema
+ * @param  {*} value
+ * @return {String}
+ */
+const typeOf = (value) => {
+    if (value === null) { return 'null'; }
+    if (_.isArray(value)) { return 'array'; }
+    if (_.isPlainObject(value)) { return 'object'; }
+    return typeof value;
+};
+
+/**
+ * Edit distance between two strings
+ * @param  {String} a
+ * @param  {String} b
+ * @return {Number}
+ */
+const distance = (a, b) => {
+    let previous = _.range(b.length + 1);
+
+    for (let i = 1; i <= a.length; i++) {
+        let current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            let cost = (a[i - 1].toLowerCase() === b[j - 1].toLowerCase()) ? 0 : 1;
+            current[j] = Math.min(current[j - 1] + 1, previous[j] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+};
+
+/**
+ * Find the closest known name to a misspelled one
+ * @param  {String} name
+ * @param  {Array} known
+ * @param  {String} path Dotted path of the option, for aliases (optional)
+ * @return {String} null if nothing is close enough
+ */
+const suggest = (name, known, path) => {
+    if (ALIASES.hasOwnProperty(path)) {
+        return ALIASES[path];
+    }
+
+    let best = _.minBy(known, (candidate) => distance(name, candidate));
+    let limit = Math.max(2, Math.floor(name.length / 3));
+
+    return (best !== undefined && distance(name, best) <= limit) ? best : null;
+};
+
+/**
+ * Check a value against a schema entry
+ * @param  {*} value
+ * @param  {Object} rule
+ * @param  {String} path Dotted path of the option
+ * @param  {Object} result `errors` and `warnings` to add to
+ * @param  {Boolean} strict Treat unknown keys as errors
+ */
+const check = (value, rule, path, result, strict) => {
+    let types = _.castArray(rule.type);
+    let type = typeOf(value);
+
+    if (types.indexOf(type) < 0) {
+        result.errors.push('Option "' + path + '" should be ' + types.join(' or ') + ', got ' + type);
+        return;
+    }
+
+    if (type === 'array' && rule.items) {
+        value.forEach((item, i) => check(item, rule.items, path + '[' + i + ']', result, strict));
+    }
+
+    if (type !== 'object') {
+        return;
+    }
+
+    _.forEach(value, (item, key) => {
+        let itemPath = path + '.' + key;
+
+        if (rule.values) {
+            return check(item, rule.values, itemPath, result, strict);
+        }
+
+        if (rule.properties && rule.properties.hasOwnProperty(key)) {
+            return check(item, rule.properties[key], itemPath, result, strict);
+        }
+
+        if (rule.properties && rule.additional === false) {
+            unknown(key, _.keys(rule.properties), itemPath, result, strict);
+        }
+    });
+};
+
+/**
+ * Report an unknown key
+ * @param  {String} key
+ * @param  {Array} known
+ * @param  {String} path
+ * @param  {Object} result
+ * @param  {Boolean} strict
+ */
+const unknown = (key, known, path, result, strict) => {
+    let suggestion = suggest(key, known, path);
+    let message = 'Unknown option "' + path + '"' + ((suggestion) ? '. Did you mean "' + path.replace(/[^.]+$/, suggestion) + '"?' : '');
+
+    result[(strict) ? 'errors' : 'warnings'].push(message);
+};
+
+/**
+ * Validate user options
+ * @param  {Object} options User options (before they're merged with the defaults)
+ * @return {Object} `errors` and `warnings`, each an Array of messages
+ */
+const validate = (options) => {
+    let result = { errors: [], warnings: [] };
+
+    options = options || {};
+
+    if (typeOf(options) !== 'object') {
+        result.errors.push('Options should be an object, got ' + typeOf(options));
+        return result;
+    }
+
+    let strict = options.strict === true;
+
+    _.forEach(options, (value, key) => {
+
+        // undefined is the same as leaving the option out
+        if (value === undefined) { return; }
+
+        if (!schema.hasOwnProperty(key)) {
+            return unknown(key, _.keys(schema), key, result, strict);
+        }
+
+        check(value, schema[key], key, result, strict);
+    });
+
+    return result;
+};
+
+
+
+/**
+ * Exports
+ */
+module.exports = validate;
+module.exports.schema = schema;
+module.exports.suggest = suggest;
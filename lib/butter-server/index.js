@@ -0,0 +1,244 @@
+/**
+ * @description Development server with live reload for assembled output.
+ * @author Cam Tullos cam@tullos.ninja
+ */
+
+/**
+ * Required dependencies
+ */
+const _              = require('lodash');
+const chokidar       = require('chokidar');
+const fs             = require('fs');
+const http           = require('http');
+const path           = require('path');
+const url            = require('url');
+
+/**
+ * Default server options
+ * @type {Object}
+ */
+const defaults = {
+    /**
+     * Port to listen on; `0` picks a free port
+     * @type {Number}
+     */
+    port: 3000,
+
+    /**
+     * Host to bind to; localhost keeps the server off the network
+     * @type {String}
+     */
+    host: 'localhost',
+
+    /**
+     * Options passed to the watcher (see lib/butter-watch)
+     * @type {Object}
+     */
+    watch: {}
+};
+
+/**
+ * Route of the live reload client script; injected into pages by `wrapPage`
+ * @type {String}
+ */
+const CLIENT_PATH = '/__butter/livereload.js';
+
+/**
+ * Route of the live reload event stream
+ * @type {String}
+ */
+const EVENTS_PATH = '/__butter/events';
+
+/**
+ * Content types of the files a toolkit usually serves
+ * @type {Object}
+ */
+const MIME_TYPES = {
+    '.css': 'text/css; charset=utf-8',
+    '.gif': 'image/gif',
+    '.htm': 'text/html; charset=utf-8',
+    '.html': 'text/html; charset=utf-8',
+    '.ico': 'image/x-icon',
+    '.jpeg': 'image/jpeg',
+    '.jpg': 'image/jpeg',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.map': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.txt': 'text/plain; charset=utf-8',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2'
+};
+
+/**
+ * Live reload client; reloads the page after a rebuild and swaps stylesheets when CSS changes
+ * @type {String}
+ */
+const CLIENT = `(function () {
+    if (!window.EventSource) { return; }
+
+    var source = new EventSource('${EVENTS_PATH}');
+
+    source.addEventListener('reload', function () {
+        window.location.reload();
+    });
+
+    source.addEventListener('css', function () {
+        var links = document.querySelectorAll('link[rel="stylesheet"]');
+        Array.prototype.forEach.call(links, function (link) {
+            var href = link.href.replace(/([?&])butter-reload=\\d+&?/, '$1').replace(/[?&]$/, '');
+            link.href = href + (href.indexOf('?') > -1 ? '&' : '?') + 'butter-reload=' + Date.now();
+        });
+    });
+})();
+`;
+
+/**
+ * Serve an assembler's `dest` and reload connected browsers after each rebuild
+ * @param  {Object} assembler An assembler created by `createAssembler()`
+ * @param  {Object} serverOptions
+ * @return {Object} Promise resolving to the server (`url`, `port`, `watcher`, `reload()`, `close()`)
+ */
+const serve = (assembler, serverOptions) => {
+
+    const config     = _.merge({}, defaults, serverOptions);
+    const options    = assembler.options;
+    const root       = path.resolve(options.dest);
+    const clients    = [];
+
+    // inject the client into every page rendered through a layout
+    options.livereload = CLIENT_PATH;
+
+    // push an event to every connected browser
+    const broadcast = (event) => {
+        clients.forEach((res) => {
+            res.write('event: ' + event + '\ndata: ' + Date.now() + '\n\n');
+        });
+    };
+
+    // respond with a file from dest
+    const sendFile = (req, res) => {
+        let pathname;
+
+        // malformed escapes like `%E0%A4%A` can't be decoded
+        try {
+            pathname = decodeURIComponent(url.parse(req.url).pathname);
+        } catch (e) {
+            res.writeHead(400, {'Content-Type': MIME_TYPES['.txt']});
+            return res.end('Bad request: ' + req.url);
+        }
+
+        let file = path.join(root, path.normalize(pathname));
+
+        // never serve anything outside of dest
+        if (file !== root && file.indexOf(root + path.sep) !== 0) {
+            res.writeHead(403);
+            return res.end('Forbidden');
+        }
+
+        fs.stat(file, (err, stats) => {
+            if (!err && stats.isDirectory()) {
+                file = path.join(file, 'index.html');
+            }
+
+            fs.readFile(file, (err, content) => {
+                if (err) {
+                    res.writeHead(404, {'Content-Type': MIME_TYPES['.txt']});
+                    return res.end('Not found: ' + pathname);
+                }
+
+                res.writeHead(200, {
+                    'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+                    'Cache-Control': 'no-cache'
+                });
+                res.end(content);
+            });
+        });
+    };
+
+    const server = http.createServer((req, res) => {
+        let pathname = url.parse(req.url).pathname;
+
+        if (pathname === CLIENT_PATH) {
+            res.writeHead(200, {'Content-Type': MIME_TYPES['.js']});
+            return res.end(CLIENT);
+        }
+
+        if (pathname === EVENTS_PATH) {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive'
+            });
+            res.write('retry: 1000\n\n');
+            clients.push(res);
+            req.on('close', () => {
+                _.pull(clients, res);
+            });
+            return;
+        }
+
+        sendFile(req, res);
+    });
+
+    // rebuild on source changes; reload after every build
+    const watcher = assembler.watch(config.watch);
+    watcher.on('done', () => {
+        broadcast('reload');
+    });
+
+    // stylesheets written to dest by other tasks are swapped without a reload
+    const cssWatcher = chokidar.watch(path.join(options.dest, '**/*.css'), {ignoreInitial: true});
+    cssWatcher.on('add', () => broadcast('css'));
+    cssWatcher.on('change', () => broadcast('css'));
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(config.port, config.host, () => {
+            let port = server.address().port;
+
+            resolve({
+                url: 'http://' + config.host + ':' + port + '/',
+                port: port,
+                watcher: watcher,
+                server: server,
+
+                /**
+                 * Tell connected browsers to reload (`reload`) or swap stylesheets (`css`)
+                 * @param  {String} event
+                 */
+                reload: (event) => {
+                    broadcast(event || 'reload');
+                },
+
+                /**
+                 * Stop serving and watching
+                 * @return {Object} Promise
+                 */
+                close: () => {
+                    clients.forEach((res) => res.end());
+                    clients.length = 0;
+
+                    return Promise.all([
+                        watcher.close(),
+                        cssWatcher.close(),
+                        new Promise((done) => server.close(() => done()))
+                    ]);
+                }
+            });
+        });
+    }).catch((e) => {
+        return Promise.all([watcher.close(), cssWatcher.close()]).then(() => {
+            throw e;
+        });
+    });
+};
+
+
+
+/**
+ * Exports
+ */
+module.exports = serve;
+module.exports.CLIENT_PATH = CLIENT_PATH;
@@ -0,0 +1,133 @@
+/**
+ * @description Watches an assembler's sources and rebuilds only what changed.
+ * @author Cam Tullos cam@tullos.ninja
+ */
+
+/**
+ * Required dependencies
+ */
+const _              = require('lodash');
+const chokidar       = require('chokidar');
+const EventEmitter   = require('events').EventEmitter;
+const errors         = require('../butter-error');
+
+/**
+ * Default watch options
+ * @type {Object}
+ */
+const defaults = {
+    /**
+     * Milliseconds to wait for more changes before rebuilding
+     * @type {Number}
+     */
+    delay: 100,
+
+    /**
+     * Options passed to chokidar
+     * @type {Object}
+     */
+    chokidar: {
+        ignoreInitial: true
+    }
+};
+
+/**
+ * Watch an assembler
+ * @param  {Object} assembler An assembler created by `createAssembler()`
+ * @param  {Object} watchOptions
+ * @return {Object} EventEmitter with a `close()` method. Events:
+ * - `rebuild` (files) a rebuild is starting; `null` files for the initial build
+ * - `done` (result) a build finished; receives the summary of written files
+ * - `error` (error) a build failed; the watcher keeps running. Without a listener the error is logged instead
+ * - `ready` initial build is done and the sources are watched
+ */
+const watch = (assembler, watchOptions) => {
+
+    const config     = _.merge({}, defaults, watchOptions);
+    const options    = assembler.options;
+    const watcher    = new EventEmitter();
+
+    let pending    = [];
+    let timer      = null;
+    let running    = Promise.resolve();
+    let fsWatcher  = null;
+    let closed     = false;
+
+    // errors are only emitted when someone listens; an unhandled `error` event would kill the process.
+    // `logged` errors were already logged by the assembler (`logErrors`)
+    const fail = (e, logged) => {
+        if (watcher.listenerCount('error') > 0) {
+            watcher.emit('error', e);
+        } else if (!logged) {
+            console.error(errors.format(e));
+        }
+    };
+
+    // run builds one after another
+    const queue = (files) => {
+        running = running.then(() => {
+            if (closed) { return; }
+
+            watcher.emit('rebuild', files);
+
+            let build = (files) ? assembler.rebuild(files) : assembler.build();
+            return build.then((result) => {
+                watcher.emit('done', result);
+            }, (e) => fail(e, options.logErrors));
+        });
+
+        return running;
+    };
+
+    // collect changes until they settle
+    const change = (file) => {
+        pending.push(file);
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            let files = _.uniq(pending);
+            pending = [];
+            queue(files);
+        }, config.delay);
+    };
+
+    let globs = _.flatten([
+        options.layouts,
+        options.layoutIncludes,
+        options.data,
+        options.materials,
+        options.views,
+        options.docs
+    ]);
+
+    /**
+     * Stop watching
+     * @return {Object} Promise
+     */
+    watcher.close = () => {
+        closed = true;
+        clearTimeout(timer);
+        return Promise.resolve(fsWatcher && fsWatcher.close());
+    };
+
+    queue(null).then(() => {
+        if (closed) { return; }
+
+        fsWatcher = chokidar.watch(globs, config.chokidar);
+        fsWatcher.on('add', change);
+        fsWatcher.on('change', change);
+        fsWatcher.on('unlink', change);
+        fsWatcher.on('error', (e) => fail(e, false));
+        fsWatcher.on('ready', () => {
+            watcher.emit('ready');
+        });
+    });
+
+    return watcher;
+};
+
+
+
+/**
+ * Exports
+ */
+module.exports = watch;
@@ -0,0 +1,12 @@
+module.exports = {
+	layouts: './test/fixtures/views/layouts/*',
+	layoutIncludes: './test/fixtures/views/layouts/includes/*',
+	materials: './test/fixtures/materials/**/*',
+	views: ['./test/fixtures/views/**/*', '!./test/fixtures/views/+(layouts)/**'],
+	data: ['./test/fixtures/data/**/*.{yml,json}'],
+	docs: './test/fixtures/docs/**/*',
+	dest: './test/output',
+	helpers: {
+		markdown: require('helper-markdown')
+	}
+};
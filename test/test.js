@@ -29,83 +29,1665 @@ describe('fabricator-assemble', function () {
 	});
 
 
-	it('should assemble a template', function (done) {
+	it('should assemble a template', function () {
 
-		assemble(options);
+		return assemble(options).then(function () {
 
-		var output = minify(fs.readFileSync('./test/output/index.html', 'utf-8'), { collapseWhitespace: true });
-		var expected = minify(fs.readFileSync('./test/expected/index.html', 'utf-8'), { collapseWhitespace: true });
+			var output = minify(fs.readFileSync('./test/output/index.html', 'utf-8'), { collapseWhitespace: true });
+			var expected = minify(fs.readFileSync('./test/expected/index.html', 'utf-8'), { collapseWhitespace: true });
 
-		assert.equal(output, expected);
-		done();
+			assert.equal(output, expected);
+
+		});
 
 	});
 
 
-	it('should assemble docs', function (done) {
+	it('should assemble docs', function () {
+
+		return assemble(options).then(function () {
 
-		assemble(options);
+			var output = minify(fs.readFileSync('./test/output/docs.html', 'utf-8'), { collapseWhitespace: true });
+			var expected = minify(fs.readFileSync('./test/expected/docs.html', 'utf-8'), { collapseWhitespace: true });
 
-		var output = minify(fs.readFileSync('./test/output/docs.html', 'utf-8'), { collapseWhitespace: true });
-		var expected = minify(fs.readFileSync('./test/expected/docs.html', 'utf-8'), { collapseWhitespace: true });
+			assert.equal(output, expected);
 
-		assert.equal(output, expected);
-		done();
+		});
 
 	});
 
 
-	it('should assemble user-created views', function (done) {
+	it('should assemble user-created views', function () {
 
-		assemble(options);
+		return assemble(options).then(function () {
 
-		var output = minify(fs.readFileSync('./test/output/pages/home.html', 'utf-8'), { collapseWhitespace: true });
-		var expected = minify(fs.readFileSync('./test/expected/home.html', 'utf-8'), { collapseWhitespace: true });
+			var output = minify(fs.readFileSync('./test/output/pages/home.html', 'utf-8'), { collapseWhitespace: true });
+			var expected = minify(fs.readFileSync('./test/expected/home.html', 'utf-8'), { collapseWhitespace: true });
 
-		assert.equal(output, expected);
-		done();
+			assert.equal(output, expected);
+
+		});
 
 	});
 
 
-	it('should assemble with layout includes', function (done) {
+	it('should assemble with layout includes', function () {
+
+		return assemble(options).then(function () {
 
-		assemble(options);
+			var output = minify(fs.readFileSync('./test/output/includes.html', 'utf-8'), { collapseWhitespace: true });
+			var expected = minify(fs.readFileSync('./test/expected/includes.html', 'utf-8'), { collapseWhitespace: true });
 
-		var output = minify(fs.readFileSync('./test/output/includes.html', 'utf-8'), { collapseWhitespace: true });
-		var expected = minify(fs.readFileSync('./test/expected/includes.html', 'utf-8'), { collapseWhitespace: true });
+			assert.equal(output, expected);
 
-		assert.equal(output, expected);
-		done();
+		});
 
 	});
 
 
-	it('should assemble with helpers', function (done) {
+	it('should assemble with helpers', function () {
 
-		assemble(options);
+		return assemble(options).then(function () {
 
-		var output = minify(fs.readFileSync('./test/output/helpers.html', 'utf-8'), { collapseWhitespace: true });
-		var expected = minify(fs.readFileSync('./test/expected/helpers.html', 'utf-8'), { collapseWhitespace: true });
+			var output = minify(fs.readFileSync('./test/output/helpers.html', 'utf-8'), { collapseWhitespace: true });
+			var expected = minify(fs.readFileSync('./test/expected/helpers.html', 'utf-8'), { collapseWhitespace: true });
 
-		assert.equal(output, expected);
-		done();
+			assert.equal(output, expected);
+
+		});
 
 	});
 
-	it('should use a custom material key', function (done) {
+	it('should use a custom material key', function () {
 
-		assemble(_.assign({}, options, {
+		return assemble(_.assign({}, options, {
 			keys: {
 				materials: 'patterns'
 			}
+		})).then(function () {
+
+			var output = minify(fs.readFileSync('./test/output/material-key.html', 'utf-8'), { collapseWhitespace: true });
+			var expected = minify(fs.readFileSync('./test/expected/material-key.html', 'utf-8'), { collapseWhitespace: true });
+
+			assert.equal(output, expected);
+
+		});
+
+	});
+
+
+	it('should resolve with a summary of written files', function () {
+
+		return assemble(options).then(function (result) {
+
+			assert.equal(result.dest, options.dest);
+			assert.ok(result.files.indexOf('test/output/index.html') > -1);
+			assert.ok(result.files.indexOf('test/output/pages/home.html') > -1);
+
+		});
+
+	});
+
+
+	it('should reject with the error instead of exiting', function () {
+
+		var handled = null;
+
+		return assemble(_.assign({}, options, {
+			layout: 'missing',
+			logErrors: false,
+			onError: function (error) {
+				handled = error;
+			}
+		})).then(function () {
+			throw new Error('expected assembly to fail');
+		}, function (e) {
+			assert.ok(e instanceof Error);
+			assert.equal(handled.message, e.message);
+		});
+
+	});
+
+
+	it('should keep assemblers isolated from each other', function () {
+
+		var components = assemble.createAssembler(options);
+		var structures = assemble.createAssembler(_.assign({}, options, {
+			materials: './test/fixtures/materials/02-structures/*'
 		}));
 
-		var output = minify(fs.readFileSync('./test/output/material-key.html', 'utf-8'), { collapseWhitespace: true });
-		var expected = minify(fs.readFileSync('./test/expected/material-key.html', 'utf-8'), { collapseWhitespace: true });
+		return Promise.all([components.setup(), structures.setup()]).then(function () {
+
+			assert.ok(components.handlebars.partials.button);
+			assert.ok(!structures.handlebars.partials.button);
+			assert.ok(structures.handlebars.partials.form);
+			assert.ok(!require('handlebars').partials.button);
+
+		});
+
+	});
+
+
+	it('should render a view without writing it', function () {
+
+		var assembler = assemble.createAssembler(options);
+
+		return assembler.setup().then(function () {
+			return assembler.renderView('./test/fixtures/views/pages/home.html');
+		}).then(function (html) {
+
+			var output = minify(html, { collapseWhitespace: true });
+			var expected = minify(fs.readFileSync('./test/expected/home.html', 'utf-8'), { collapseWhitespace: true });
+
+			assert.equal(output, expected);
+			assert.ok(!fs.existsSync('./test/output/pages/home.html'));
+
+		});
+
+	});
+
+
+	it('should only re-render views that use docs when a doc changes', function () {
+
+		var assembler = assemble.createAssembler(options);
+
+		return assembler.build().then(function () {
+			return assembler.rebuild(['./test/fixtures/docs/markup.md']);
+		}).then(function (result) {
+
+			// index.html passes the whole context (`@root`) to its materials
+			assert.deepEqual(result.files, ['test/output/docs.html', 'test/output/index.html']);
+
+		});
+
+	});
+
+
+	it('should only re-render a changed view', function () {
+
+		var assembler = assemble.createAssembler(options);
+
+		return assembler.build().then(function () {
+			return assembler.rebuild(['test/fixtures/views/pages/home.html']);
+		}).then(function (result) {
+
+			assert.deepEqual(result.files, ['test/output/pages/home.html']);
+
+			// the other views keep what they wrote
+			assembler.manifest().views.forEach(function (view) {
+				assert.equal(view.output.length, 1, view.id);
+			});
+
+		});
+
+	});
+
+
+	it('should re-register a changed material and re-render the views that use it', function () {
+
+		var assembler = assemble.createAssembler(options);
+		var partial;
+
+		return assembler.build().then(function () {
+			partial = assembler.handlebars.partials.button;
+			return assembler.rebuild(['./test/fixtures/materials/01-components/button.html']);
+		}).then(function (result) {
+
+			assert.notStrictEqual(assembler.handlebars.partials.button, partial);
+			assert.ok(result.files.indexOf('test/output/index.html') > -1);
+			assert.ok(result.files.indexOf('test/output/docs.html') < 0);
+
+		});
+
+	});
+
+
+	it('should re-render views that call a changed material by its numbered name', function () {
+
+		var assembler = assemble.createAssembler(_.assign({}, options, { views: './test/fixtures/numbered/views/*' }));
+
+		return assembler.build().then(function () {
+			return assembler.rebuild(['./test/fixtures/materials/01-components/01-alerts/primary.html']);
+		}).then(function (result) {
+
+			assert.deepEqual(result.files, ['test/output/alerts.html']);
+			assert.deepEqual(_.find(assembler.manifest().views, { id: 'alerts' }).references.partials, ['alerts.primary']);
+
+		});
+
+	});
+
+
+	it('should re-render views that read the whole context when data changes', function () {
+
+		var assembler = assemble.createAssembler(_.assign({}, options, { views: './test/fixtures/context/views/*' }));
+
+		return assembler.build().then(function () {
+			return assembler.rebuild(['./test/fixtures/data/user.json']);
+		}).then(function (result) {
+
+			assert.deepEqual(result.files, ['test/output/dump.html', 'test/output/root.html']);
+			assert.equal(_.find(assembler.manifest().views, { id: 'dump' }).references.allData, true);
+			assert.equal(_.find(assembler.manifest().views, { id: 'plain' }).references.allData, false);
+
+		});
+
+	});
+
+
+	it('should only re-render views that include a changed layout include', function () {
+
+		var assembler = assemble.createAssembler(options);
+
+		return assembler.build().then(function () {
+			return assembler.rebuild(['./test/fixtures/views/layouts/includes/menu.html']);
+		}).then(function (result) {
+
+			// index.html includes materials by a computed name, so it could include anything
+			assert.deepEqual(result.files, ['test/output/includes.html', 'test/output/index.html']);
+
+		});
+
+	});
+
+
+	it('should describe what each template references', function () {
+
+		var assembler = assemble.createAssembler(options);
+
+		return assembler.setup().then(function () {
+			var manifest = assembler.manifest();
+			var index = _.find(manifest.views, { id: 'index' });
+
+			assert.deepEqual(index.references, {
+				partials: ['button', 'form'],
+				helpers: ['each', 'if', 'material'],
+				data: ['home', 'materials', 'name'],
+				dynamic: true,
+				allData: true
+			});
+			assert.deepEqual(_.find(manifest.views, { id: 'includes' }).references.partials, ['menu']);
+			assert.deepEqual(_.find(manifest.layouts, { id: 'default' }).references.data, ['title']);
+			assert.deepEqual(_.map(manifest.includes, 'id'), ['menu']);
+			assert.deepEqual(assembler.assembly.materials['02-structures'].items['02-form'].references.partials, ['button']);
+		});
+
+	});
+
+
+	it('should build and emit done when watching', function (done) {
+
+		var watcher = assemble.watch(options);
+		var results = [];
+
+		watcher.on('done', function (result) {
+			results.push(result);
+		});
+
+		watcher.on('ready', function () {
+			watcher.close().then(function () {
+				assert.equal(results.length, 1);
+				assert.ok(fs.existsSync('./test/output/index.html'));
+				done();
+			}, done);
+		});
+
+	});
+
+
+	it('should rebuild from scratch when a material is removed', function () {
+
+		// a copy of the materials, so one can be removed
+		var dir = './test/output/removed-materials';
+		var modal = dir + '/02-structures/01-modal-overlay.html';
+
+		fs.cpSync('./test/fixtures/materials', dir, { recursive: true });
+
+		var assembler = assemble.createAssembler(_.assign({}, options, { materials: dir + '/**/*', views: [] }));
+
+		return assembler.setup().then(function () {
+			assert.ok(assembler.handlebars.partials['modal-overlay']);
+
+			fs.unlinkSync(modal);
+			return assembler.rebuild([modal]);
+		}).then(function () {
+			assert.ok(!assembler.handlebars.partials['modal-overlay']);
+			assert.ok(!_.find(assembler.manifest().materials, { id: 'modal-overlay' }));
+
+			return assembler.rebuild([dir + '/01-components/button.html']);
+		}).then(function () {
+			assert.ok(assembler.handlebars.partials.button);
+		});
+
+	});
+
+
+	it('should serve the output with a live reload client', function () {
+
+		var http = require('http');
+		var server;
+
+		var get = function (path) {
+			return new Promise(function (resolve, reject) {
+				http.get(server.url.replace(/\/$/, '') + path, function (res) {
+					var body = '';
+					res.on('data', function (chunk) { body += chunk; });
+					res.on('end', function () { resolve({ status: res.statusCode, body: body }); });
+				}).on('error', reject);
+			});
+		};
+
+		return assemble.serve(options, { port: 0, watch: { delay: 10 } }).then(function (running) {
+			server = running;
+
+			return new Promise(function (resolve) {
+				server.watcher.once('ready', resolve);
+			});
+		}).then(function () {
+			return Promise.all([get('/index.html'), get('/__butter/livereload.js'), get('/../package.json'), get('/%E0%A4%A')]);
+		}).then(function (responses) {
+
+			assert.equal(responses[0].status, 200);
+			assert.ok(responses[0].body.indexOf('<script src="/__butter/livereload.js"></script>') > -1);
+			assert.equal(responses[1].status, 200);
+			assert.ok(responses[1].body.indexOf('EventSource') > -1);
+			assert.notEqual(responses[2].status, 200);
+			assert.equal(responses[3].status, 400);
+
+			return server.close();
+		}, function (e) {
+			return server.close().then(function () { throw e; });
+		});
+
+	});
+
+
+	describe('errors', function () {
+
+		var errorOptions = _.assign({}, options, {
+			materials: './test/fixtures/errors/materials/*',
+			views: './test/fixtures/errors/views/*',
+			logErrors: false
+		});
+
+		it('should log build errors of a watcher without an error listener', function (done) {
+
+			var error = console.error;
+			var logged = [];
+
+			console.error = function (message) {
+				logged.push(message);
+			};
+
+			var watcher = assemble.watch(errorOptions);
+
+			watcher.on('ready', function () {
+				console.error = error;
+				watcher.close().then(function () {
+					assert.equal(logged.length, 1);
+					assert.ok(logged[0].replace(/\u001b\[\d+m/g, '').indexOf('Error (butter-assemble): Error in material ./test/fixtures/errors/materials/broken-matter.html') > -1);
+					done();
+				}, done);
+			});
+
+		});
+
+
+		it('should report the phase, file, line and a code frame', function () {
+
+			return assemble(errorOptions).then(function () {
+				throw new Error('expected assembly to fail');
+			}, function (e) {
+				assert.equal(e.name, 'AssemblyError');
+				assert.equal(e.phase, 'material');
+				assert.equal(e.file, './test/fixtures/errors/materials/broken-matter.html');
+				assert.equal(e.line, 4);
+				assert.ok(e.frame.indexOf('> 4 | ---') > -1);
+			});
+
+		});
+
+
+		it('should keep going and report every failure when bail is off', function () {
+
+			return assemble(_.assign({}, errorOptions, { bail: false })).then(function () {
+				throw new Error('expected assembly to fail');
+			}, function (e) {
+				var found = e.errors.map(function (error) {
+					return [error.phase, error.file.split('/').pop(), error.line];
+				});
+
+				assert.equal(e.name, 'AggregateAssemblyError');
+				assert.deepEqual(found, [
+					['material', 'broken-matter.html', 4],
+					['view', 'broken.html', 8],
+					['view', 'missing-partial.html', undefined]
+				]);
+				assert.deepEqual(e.result.files, ['test/output/good.html']);
+				assert.ok(fs.existsSync('./test/output/good.html'));
+			});
+
+		});
+
+
+		it('should warn about references to missing partials', function () {
+
+			var assembler = assemble.createAssembler(_.assign({}, errorOptions, { bail: false }));
+			var warn = console.warn;
+			var warnings = [];
+
+			console.warn = function (message) {
+				warnings.push(message.replace(/\u001b\[\d+m/g, ''));
+			};
+
+			return assembler.setup().then(function () {
+				console.warn = warn;
+				assert.deepEqual(warnings, [
+					'Warning (butter-assemble): View ./test/fixtures/errors/views/missing-partial.html references missing partial "nope"'
+				]);
+			}, function (e) {
+				console.warn = warn;
+				throw e;
+			});
+
+		});
+
+
+		it('should keep the parse error of a view it can\'t scan for references', function () {
+
+			var assembler = assemble.createAssembler(_.assign({}, errorOptions, { bail: false }));
+
+			return assembler.setup().then(function () {
+				var views = assembler.manifest().views;
+				var broken = _.find(views, { id: 'broken' });
+
+				assert.equal(broken.references, null);
+				assert.ok(/^Parse error on line \d+:/.test(broken.referenceError));
+				assert.equal(_.find(views, { id: 'good' }).referenceError, null);
+			});
+
+		});
+
+	});
+
+
+	describe('cli', function () {
+
+		var execFile = require('child_process').execFile;
+		var config = require('../lib/butter-config');
+
+		var cli = function (args) {
+			return new Promise(function (resolve, reject) {
+				execFile(process.execPath, ['./bin/butter-assemble.js'].concat(args), function (err, stdout, stderr) {
+					return (err) ? reject(new Error(stderr || err.message)) : resolve(stdout);
+				});
+			});
+		};
+
+		it('should find butter.config.js', function () {
+
+			return config.load('./test/fixtures').then(function (loaded) {
+				assert.equal(loaded.file, require('path').resolve('./test/fixtures/butter.config.js'));
+				assert.equal(loaded.options.dest, './test/output');
+			});
+
+		});
+
+
+		it('should return empty options when there is no config', function () {
+
+			return config.load('./test/expected').then(function (loaded) {
+				assert.equal(loaded.file, null);
+				assert.deepEqual(loaded.options, {});
+			});
+
+		});
+
+
+		it('should build with flags overriding the config', function () {
+
+			return cli(['build', '--config', './test/fixtures/butter.config.js', '--dest', './test/output/cli']).then(function () {
+
+				var output = minify(fs.readFileSync('./test/output/cli/index.html', 'utf-8'), { collapseWhitespace: true });
+				var expected = minify(fs.readFileSync('./test/expected/index.html', 'utf-8'), { collapseWhitespace: true });
+
+				assert.equal(output, expected);
+
+			});
+
+		});
+
+
+		it('should inspect the resolved assembly', function () {
+
+			return cli(['inspect', '--config', './test/fixtures/butter.config.js']).then(function (stdout) {
+
+				var inspected = JSON.parse(stdout);
+
+				assert.equal(inspected.options.dest, './test/output');
+				assert.ok(inspected.assembly.materials['01-components']);
+				assert.ok(inspected.assembly.docs.markup);
+
+			});
+
+		});
+
+
+		it('should clean dest', function () {
+
+			return cli(['build', '--config', './test/fixtures/butter.config.js']).then(function () {
+				return cli(['clean', '--config', './test/fixtures/butter.config.js']);
+			}).then(function () {
+				assert.ok(!fs.existsSync('./test/output'));
+			});
+
+		});
+
+	});
+
+
+	describe('options', function () {
+
+		it('should accept the test options', function () {
+
+			var result = assemble.validate(options);
+
+			assert.deepEqual(result.errors, []);
+			assert.deepEqual(result.warnings, []);
+
+		});
+
+
+		it('should suggest the closest name for unknown options', function () {
+
+			var result = assemble.validate({
+				layoutInclude: './includes/*',
+				hooks: { views: function () {} },
+				keys: { material: 'patterns' }
+			});
+
+			assert.deepEqual(result.errors, []);
+			assert.deepEqual(result.warnings, [
+				'Unknown option "layoutInclude". Did you mean "layoutIncludes"?',
+				'Unknown option "hooks.views". Did you mean "hooks.templates"?',
+				'Unknown option "keys.material". Did you mean "keys.materials"?'
+			]);
+
+		});
+
+
+		it('should accept markdown-it settings it doesn\'t list', function () {
+
+			var result = assemble.validate({
+				markdown: { maxNesting: 20, html: false }
+			});
+
+			assert.deepEqual(result.errors, []);
+			assert.deepEqual(result.warnings, []);
+
+		});
+
+
+		it('should report mistyped options', function () {
+
+			var result = assemble.validate({
+				keys: 'patterns',
+				helpers: { foo: 'bar' },
+				views: ['./views/*', 2]
+			});
+
+			assert.deepEqual(result.errors, [
+				'Option "keys" should be object, got string',
+				'Option "helpers.foo" should be function, got string',
+				'Option "views[1]" should be string, got number'
+			]);
+
+		});
+
+
+		it('should fail the build on unknown options in strict mode', function () {
+
+			return assemble(_.assign({}, options, {
+				strict: true,
+				logErrors: false,
+				layoutInclude: './includes/*'
+			})).then(function () {
+				throw new Error('expected assembly to fail');
+			}, function (e) {
+				assert.equal(e.phase, 'options');
+				assert.ok(e.message.indexOf('Did you mean "layoutIncludes"?') > -1);
+			});
+
+		});
+
+
+		it('should reject mistyped options instead of throwing', function () {
+
+			return assemble(_.assign({}, options, { keys: 'x', logErrors: false })).then(function () {
+				throw new Error('expected assembly to fail');
+			}, function (e) {
+				assert.equal(e.phase, 'options');
+				assert.ok(e.message.indexOf('Option "keys" should be object, got string') > -1);
+			});
+
+		});
+
+	});
+
+
+	it('should write a manifest of the assembly', function () {
+
+		return assemble(_.assign({}, options, { manifest: true })).then(function (result) {
+
+			var manifest = JSON.parse(fs.readFileSync('./test/output/manifest.json', 'utf-8'));
+			var button = _.find(manifest.materials, { id: 'button' });
+			var home = _.find(manifest.views, { id: 'home' });
+
+			assert.ok(result.files.indexOf('test/output/manifest.json') > -1);
+			assert.equal(manifest.version, 1);
+			assert.equal(button.file, './test/fixtures/materials/01-components/button.html');
+			assert.deepEqual(button.collection, ['01-components']);
+			assert.equal(button.notes, '<p>foo <code>bar</code></p>\n');
+			assert.equal(_.find(manifest.materials, { id: 'toggles.primary' }).key, 'toggles.01-primary');
+			assert.deepEqual(home.output, ['test/output/pages/home.html']);
+			assert.deepEqual(home.collection, ['pages']);
+			assert.deepEqual(_.map(manifest.docs, 'id'), ['javascript', 'markup']);
+			assert.deepEqual(_.map(manifest.layouts, 'id'), ['default', 'preview']);
+
+		});
+
+	});
+
+
+	describe('render api', function () {
+
+		var assembler = assemble.createAssembler(options);
+
+		before(function () {
+			return assembler.setup();
+		});
+
+		it('should render a material by id or key', function () {
+
+			assert.equal(assembler.renderMaterial('02-dropdown'), '<div>Dropdown</div>');
+			assert.equal(assembler.renderMaterial('button', {}, { name: 'Test' }), '<a href="#" class="button">Click Me, Test</a>');
+
+		});
+
+
+		it('should throw for a missing material', function () {
+
+			assert.throws(function () {
+				assembler.renderMaterial('nope');
+			}, /Material "nope" not found/);
+
+		});
+
+
+		it('should render a view with extra data', function () {
+
+			return assembler.renderView('./test/fixtures/views/pages/home.html', { title: 'Overridden' }).then(function (html) {
+				assert.ok(html.indexOf('<title>Overridden</title>') > -1);
+				assert.ok(html.indexOf('<h1>Hello, World!</h1>') > -1);
+			});
+
+		});
+
+
+		it('should render a string with partials, data and a layout', function () {
+
+			assert.equal(assembler.renderString('{{home.greeting}} {{> dropdown}}', {}), 'Hello <div>Dropdown</div>');
+
+			var html = assembler.renderString('<p>{{title}}</p>', { title: 'Fragment' }, { layout: true });
+			assert.ok(html.indexOf('<title>Fragment</title>') > -1);
+			assert.ok(html.indexOf('<p>Fragment</p>') > -1);
+
+		});
+
+	});
+
+
+	it('should generate a preview page per material', function () {
+
+		return assemble(_.assign({}, options, { previews: true })).then(function (result) {
+
+			var output = minify(fs.readFileSync('./test/output/materials/components/button.html', 'utf-8'), { collapseWhitespace: true });
+			var expected = minify(fs.readFileSync('./test/expected/materials/components/button.html', 'utf-8'), { collapseWhitespace: true });
+
+			assert.equal(output, expected);
+			assert.ok(result.files.indexOf('test/output/materials/components/alerts/primary.html') > -1);
+			assert.ok(fs.readFileSync('./test/output/materials/components/alerts/primary.html', 'utf-8').indexOf('../../../assets/styles/main.css') > -1);
+			assert.ok(result.files.indexOf('test/output/materials/structures/modal-overlay.html') > -1);
+
+		});
+
+	});
+
+
+	it('should rewrite the previews of a changed material and the materials including it', function () {
+
+		var assembler = assemble.createAssembler(_.assign({}, options, { previews: true }));
+
+		return assembler.build().then(function () {
+			return assembler.rebuild(['./test/fixtures/materials/01-components/button.html']);
+		}).then(function (result) {
+
+			assert.ok(result.files.indexOf('test/output/materials/components/button.html') > -1);
+			assert.ok(result.files.indexOf('test/output/materials/structures/form.html') > -1);
+			assert.ok(result.files.indexOf('test/output/materials/structures/modal-overlay.html') < 0);
+
+		});
+
+	});
+
+
+	it('should insert the rendered material in its preview as HTML', function () {
+
+		// a material whose output looks like Handlebars and block tags
+		var dir = './test/output/literal-materials';
+
+		fs.mkdirSync(dir, { recursive: true });
+		fs.writeFileSync(dir + '/snippet.html', '<code>\\{{name}}</code> <code>{% block head %}{% endblock %}</code>\n');
+
+		return assemble(_.assign({}, options, { materials: dir + '/*', views: [], previews: true })).then(function (result) {
+
+			var file = _.find(result.files, function (file) { return /snippet\.html$/.test(file); });
+			var html = fs.readFileSync(file, 'utf-8');
+
+			assert.ok(html.indexOf('<code>{{name}}</code> <code>{% block head %}{% endblock %}</code>') > -1);
+
+		});
+
+	});
+
+
+	describe('variants', function () {
+
+		var variantOptions = _.assign({}, options, {
+			materials: './test/fixtures/variants/materials/*',
+			views: './test/fixtures/variants/views/*'
+		});
+
+		var assembler = assemble.createAssembler(variantOptions);
+
+		before(function () {
+			return assembler.setup();
+		});
+
+		it('should list each variant under its material', function () {
+
+			var button = assembler.assembly.materials.materials.items.button;
+
+			assert.deepEqual(_.keys(button.variants), ['primary', 'disabled', 'long-label']);
+			assert.equal(button.variants['long-label'].name, 'Long Label');
+			assert.equal(button.variants.disabled.notes, '<p>Shown until the form is valid</p>\n');
+			assert.equal(button.variants.disabled.data.label, 'Submit');
+			assert.equal(button.variants.disabled.data.disabled, true);
+			assert.notEqual(button.variants.primary.serial, button.serial);
+			assert.notEqual(button.variants.primary.serial, button.variants.disabled.serial);
+			assert.equal(button.data.variants, undefined);
+
+		});
+
+
+		it('should render a variant with its own data', function () {
+
+			assert.equal(assembler.renderMaterial('button'), '<button class="button button--default">Submit</button>');
+			assert.equal(assembler.renderMaterial('button', {}, { variant: 'disabled' }), '<button class="button button--default" disabled>Submit</button>');
+			assert.equal(assembler.renderString('{{{material "button" variant="primary"}}}'), '<button class="button button--primary">Submit</button>');
+
+		});
+
+
+		it('should throw for a missing variant', function () {
+
+			assert.throws(function () {
+				assembler.renderMaterial('button', {}, { variant: 'nope' });
+			}, /Variant "nope" of material "button" not found/);
+
+		});
+
+
+		it('should generate a preview page per variant', function () {
+
+			return assemble(_.assign({}, variantOptions, { previews: true })).then(function (result) {
+				assert.deepEqual(result.files.sort(), [
+					'test/output/materials/materials/button--disabled.html',
+					'test/output/materials/materials/button--long-label.html',
+					'test/output/materials/materials/button--primary.html',
+					'test/output/materials/materials/button.html'
+				]);
+				assert.ok(fs.readFileSync('./test/output/materials/materials/button--long-label.html', 'utf-8').indexOf('Submit your application') > -1);
+			});
+
+		});
+
+	});
+
+
+	describe('props', function () {
+
+		var propsOptions = _.assign({}, options, {
+			materials: './test/fixtures/props/materials/*',
+			views: './test/fixtures/props/views/*'
+		});
+
+		var warn = console.warn;
+		var warnings;
+
+		beforeEach(function () {
+			warnings = [];
+			console.warn = function (message) {
+				warnings.push(message);
+			};
+		});
+
+		afterEach(function () {
+			console.warn = warn;
+		});
+
+		it('should describe the props in the assembly', function () {
+
+			var assembler = assemble.createAssembler(propsOptions);
+
+			return assembler.setup().then(function () {
+				var button = assembler.assembly.materials.materials.items.button;
+
+				assert.deepEqual(_.keys(button.props), ['label', 'size', 'icon']);
+				assert.equal(button.props.label.required, true);
+				assert.equal(button.props.label.description, 'Text of the button');
+				assert.deepEqual(button.props.size.enum, ['small', 'medium', 'large']);
+				assert.equal(button.props.icon.type, 'string');
+				assert.equal(button.data.props, undefined);
+				assert.equal(assembler.renderMaterial('button', {}, { label: 'Go' }), '<button class="button button--medium">Go</button>');
+			});
+
+		});
+
+
+		it('should warn about missing, mistyped and unknown props, naming the view', function () {
+
+			return assemble(propsOptions).then(function () {
+				var output = fs.readFileSync('./test/output/index.html', 'utf-8');
+				var prefix = 'Material "button" in view ./test/fixtures/props/views/index.html: ';
+
+				assert.ok(output.indexOf('<button class="button button--medium">Go</button>') > -1);
+				assert.deepEqual(warnings.map(function (warning) {
+					return warning.replace(/\u001b\[\d+m/g, '');
+				}), [
+					'Warning (butter-assemble): ' + prefix + 'missing required prop "label"',
+					'Warning (butter-assemble): ' + prefix + 'unknown prop "lable". Did you mean "label"?'
+				]);
+			});
+
+		});
+
+
+		it('should fail the view with strict props', function () {
+
+			return assemble(_.assign({}, propsOptions, { props: { strict: true }, logErrors: false })).then(function () {
+				throw new Error('expected assembly to fail');
+			}, function (e) {
+				assert.equal(e.phase, 'view');
+				assert.equal(e.file, './test/fixtures/props/views/index.html');
+				assert.ok(/Material "button" in view .*: missing required prop "label"/.test(e.reason));
+			});
+
+		});
+
+
+		it('should not check the props of preview pages', function () {
+
+			return assemble(_.assign({}, propsOptions, { views: [], previews: true, props: { strict: true } })).then(function () {
+				var output = fs.readFileSync('./test/output/materials/materials/button.html', 'utf-8');
+
+				assert.ok(output.indexOf('<button class="button button--medium"></button>') > -1);
+				assert.deepEqual(warnings, []);
+			});
+
+		});
+
+
+		it('should reject invalid declarations', function () {
+
+			var props = require('../lib/butter-props');
+
+			assert.throws(function () {
+				props.normalize({ label: 'strng' });
+			}, /Prop "label" has unknown type "strng". Did you mean "string"\?/);
+
+			assert.deepEqual(props.check(props.normalize({ size: { enum: ['small'] } }), { size: 'large' }, {}).problems, [
+				'prop "size" should be one of "small", got "large"'
+			]);
+
+		});
+
+	});
+
+
+	describe('dna', function () {
+
+		var dnaOptions = _.assign({}, options, {
+			materials: './test/fixtures/dna/materials/*',
+			views: './test/fixtures/dna/views/*',
+			dna: { attributes: ['role'] }
+		});
+
+		it('should find selectors in multi-line tags, mustache class lists and partial includes', function () {
+
+			var assembler = assemble.createAssembler(dnaOptions);
+
+			return assembler.setup().then(function () {
+				var items = assembler.assembly.materials.materials.items;
+				var dependents = items.button.data.helix.dependents;
+				var dependency = _.find(items.card.data.helix.dependency, { file: 'button.html' });
+
+				assert.deepEqual(_.map(dependents, 'file'), ['card.html', 'page.html']);
+				assert.equal(dependents[0].link, 'card');
+				assert.deepEqual(dependents[0].tags, ['.button', 'role=primary', '.primary', '#primary']);
+				assert.deepEqual(dependents[0].lines, {
+					'.button': [10, 12],
+					'role=primary': [11],
+					'.primary': [12],
+					'#primary': [13]
+				});
+				assert.equal(dependents[0].count, 4);
+				assert.deepEqual(dependency.tags, dependents[0].tags);
+			});
+
+		});
+
+
+		it('should export the dependency graph with cycles, orphans and unused selectors', function () {
+
+			var assembler = assemble.createAssembler(dnaOptions);
+
+			return assembler.setup().then(function () {
+				var graph = assembler.graph();
+
+				assert.deepEqual(_.map(graph.edges, function (edge) {
+					return edge.from + ' -> ' + edge.to;
+				}), ['badge -> card', 'card -> badge', 'card -> button', 'page -> button']);
+				assert.deepEqual(graph.cycles, [['badge', 'card']]);
+				assert.deepEqual(graph.orphans, ['page']);
+				assert.deepEqual(graph.unused, [{ id: 'badge', selector: 'unused-thing' }]);
+				assert.deepEqual(assembler.impacted('button'), ['card', 'page', 'badge']);
+				assert.deepEqual(assembler.impacted('page'), []);
+			});
+
+		});
+
+
+		it('should write the graph as JSON, DOT and an HTML report', function () {
+
+			return assemble(_.assign({}, dnaOptions, { graph: true })).then(function (result) {
+				var json = JSON.parse(fs.readFileSync('./test/output/dependencies/graph.json', 'utf-8'));
+				var dot = fs.readFileSync('./test/output/dependencies/graph.dot', 'utf-8');
+				var report = fs.readFileSync('./test/output/dependencies/index.html', 'utf-8');
+
+				assert.deepEqual(result.files.sort(), [
+					'test/output/dependencies/graph.dot',
+					'test/output/dependencies/graph.json',
+					'test/output/dependencies/index.html'
+				]);
+				assert.deepEqual(json.materials.button, { dependencies: [], dependents: ['card', 'page'] });
+				assert.ok(dot.indexOf('"card" -> "badge" [label=".badge", color=red];') > -1);
+				assert.ok(dot.indexOf('"page" [style=dashed];') > -1);
+				assert.ok(report.indexOf('<h2>Cycles (1)</h2>') > -1);
+				assert.ok(report.indexOf('<code>unused-thing</code>') > -1);
+			});
+
+		});
+
+
+		it('should reuse parsed materials that did not change', function () {
+
+			var dna = require('../lib/butter-dna');
+			var files = ['./test/fixtures/dna/materials/button.html', './test/fixtures/dna/materials/card.html'];
+			var cache = {};
+
+			return dna.load(files, cache).then(function (first) {
+				return dna.load(files, cache).then(function (second) {
+					assert.strictEqual(second[0], first[0]);
+					assert.strictEqual(dna.entry(files[1], fs.readFileSync(files[1], 'utf-8'), null, cache), first[1]);
+					assert.notStrictEqual(dna.entry(files[1], '<p class="button"></p>', null, cache), first[1]);
+					assert.deepEqual(dna.index(second, {}).helix(files[0]).dependents[0].tags, ['.button', '.primary', '#primary']);
+				});
+			});
+
+		});
+
+
+		it('should not read unchanged materials again on the first rebuild', function () {
+
+			var io = require('../lib/butter-io');
+			var readFile = io.readFile;
+			var read = [];
+			var assembler = assemble.createAssembler(_.assign({}, dnaOptions, { views: [] }));
+
+			return assembler.setup().then(function () {
+				io.readFile = function (file) {
+					read.push(file);
+					return readFile.apply(io, arguments);
+				};
+
+				return assembler.rebuild(['./test/fixtures/dna/materials/page.html']);
+			}).then(function () {
+				io.readFile = readFile;
+				assert.deepEqual(read, ['./test/fixtures/dna/materials/page.html']);
+			}, function (e) {
+				io.readFile = readFile;
+				throw e;
+			});
+
+		});
+
+
+		it('should update the helix of other materials when a material stops using their selectors', function () {
+
+			// a copy of the materials, so one can change
+			var dir = './test/output/dna-copy/materials';
+			var page = dir + '/page.html';
+			var copyOptions = _.assign({}, dnaOptions, { materials: dir + '/*', views: [] });
+
+			fs.cpSync('./test/fixtures/dna/materials', dir, { recursive: true });
+
+			var assembler = assemble.createAssembler(copyOptions);
+			var fresh = assemble.createAssembler(copyOptions);
+
+			return assembler.setup().then(function () {
+				fs.writeFileSync(page, '<main></main>\n');
+				return assembler.rebuild([page]);
+			}).then(function () {
+				return fresh.setup();
+			}).then(function () {
+				var button = assembler.assembly.materials.materials.items.button;
+
+				assert.deepEqual(_.map(button.data.helix.dependents, 'file'), ['card.html']);
+				assert.deepEqual(button.data.helix, fresh.assembly.materials.materials.items.button.data.helix);
+				assert.deepEqual(assembler.assembly.materialData.button, fresh.assembly.materialData.button);
+				assert.deepEqual(_.find(assembler.manifest().materials, { id: 'button' }).dependencies,
+					_.find(fresh.manifest().materials, { id: 'button' }).dependencies);
+			});
+
+		});
+
+
+		it('should tokenize broken markup without throwing', function () {
+
+			var html = require('../lib/butter-html');
+			var tokens = html.tokenize('<div ="x" class="card">\n<p ==>\n<a href="#" =>');
+
+			assert.deepEqual(_.map(tokens, 'name'), ['div', 'p', 'a']);
+			assert.deepEqual(tokens[0].attributes, [{ name: 'class', value: 'card', line: 1 }]);
+			assert.deepEqual(_.map(tokens[2].attributes, 'name'), ['href']);
+
+		});
+
+
+		it('should use front-matter that is already parsed', function () {
+
+			var dna = require('../lib/butter-dna');
+			var entry = dna.entry('given.html', '<p class="other"></p>', { data: { dna: '.given' }, content: '<p class="given"></p>' });
+
+			assert.deepEqual(entry.props, ['.given']);
+			assert.equal(entry.tokens[0].attributes[0].value, 'given');
+
+		});
+
+	});
+
+
+	describe('nested collections', function () {
+
+		var nestedOptions = _.assign({}, options, {
+			materials: './test/fixtures/nested/materials/**/*',
+			views: './test/fixtures/nested/views/*',
+			previews: true
+		});
+
+		it('should nest collections at any depth with consistent ids and keys', function () {
+
+			var assembler = assemble.createAssembler(nestedOptions);
+
+			return assembler.setup().then(function () {
+				var inputs = assembler.assembly.materials['01-components'].items.forms.items['01-inputs'];
+				var text = _.find(assembler.manifest().materials, { id: 'forms.inputs.text' });
+
+				assert.equal(inputs.name, 'Inputs');
+				assert.deepEqual(_.keys(inputs.items), ['forms.01-inputs.01-checkbox', 'forms.01-inputs.02-text']);
+				assert.equal(inputs.items['forms.01-inputs.02-text'].name, 'Text');
+				assert.equal(text.key, 'forms.01-inputs.02-text');
+				assert.deepEqual(text.collection, ['01-components', 'forms', '01-inputs']);
+				assert.equal(text.preview, 'materials/components/forms/inputs/text.html');
+				assert.equal(_.find(assembler.manifest().materials, { id: 'forms.inputs.hidden' }).hidden, true);
+				assert.equal(assembler.renderMaterial('forms.01-inputs.01-checkbox'), '<input type="checkbox">');
+			});
+
+		});
+
+
+		it('should include nested materials by id and key', function () {
+
+			return assemble(nestedOptions).then(function () {
+				var output = fs.readFileSync('./test/output/index.html', 'utf-8');
+
+				assert.ok(output.indexOf('<input type="text" placeholder="Your name">') > -1);
+				assert.ok(output.indexOf('<input type="checkbox">') > -1);
+				assert.ok(output.indexOf('<input type="hidden">') > -1);
+				assert.ok(fs.existsSync('./test/output/materials/components/forms/inputs/text.html'));
+			});
+
+		});
+
+
+		it('should mirror nested views in dest with a baseurl for their depth', function () {
+
+			var assembler = assemble.createAssembler(_.assign({}, nestedOptions, {
+				views: './test/fixtures/nested/views/**/*'
+			}));
+
+			return assembler.build().then(function (result) {
+				var link = function (file) {
+					return fs.readFileSync(file, 'utf-8').match(/class="home" href="([^"]*)"/)[1];
+				};
+
+				assert.ok(result.files.indexOf('test/output/blog/2024/post.html') > -1);
+				assert.equal(link('./test/output/blog.html'), './index.html');
+				assert.equal(link('./test/output/blog/2024/post.html'), '../../index.html');
+				assert.equal(link('./test/output/archive/moved.html'), '../index.html');
+				assert.equal(assembler.assembly.views.blog.items['2024'].items.post.name, 'Post');
+				assert.equal(assembler.assembly.views.blog.items.moved.name, 'Moved');
+				assert.deepEqual(_.find(assembler.manifest().views, { id: 'post' }).collection, ['blog', '2024']);
+			});
+
+		});
+
+	});
+
+
+	describe('pagination', function () {
+
+		var paginationOptions = _.assign({}, options, {
+			views: './test/fixtures/pagination/views/*',
+			data: './test/fixtures/pagination/data/*'
+		});
+
+		var body = function (file) {
+			return fs.readFileSync(file, 'utf-8').match(/<body>([\s\S]*)<script/)[1].replace(/\s+/g, ' ').trim();
+		};
+
+		it('should write a page per item at its permalink', function () {
+
+			return assemble(paginationOptions).then(function (result) {
+				assert.deepEqual(result.files.filter(function (file) {
+					return file.indexOf('products/') > -1;
+				}), ['test/output/products/lamp.html', 'test/output/products/chair.html', 'test/output/products/table.html']);
+				assert.equal(body('./test/output/products/lamp.html'), '<h1>Lamp</h1> <p class="page">1 of 3</p> <a class="next" href="../products/chair.html">Next</a>');
+				assert.equal(body('./test/output/products/table.html'), '<h1>Table</h1> <p class="page">3 of 3</p>');
+			});
+
+		});
+
+
+		it('should write a page per chunk with links to the next and previous pages', function () {
+
+			return assemble(paginationOptions).then(function () {
+				assert.equal(body('./test/output/catalog.html'), '<ul><li>Lamp</li><li>Chair</li></ul> <a class="next" href="./catalog-2.html">Next</a>');
+				assert.equal(body('./test/output/catalog-2.html'), '<ul><li>Table</li></ul> <a class="prev" href="./catalog.html">Previous</a>');
+			});
+
+		});
+
+
+		it('should re-render paginated views when their data changes', function () {
+
+			var assembler = assemble.createAssembler(paginationOptions);
+
+			return assembler.build().then(function () {
+				return assembler.rebuild(['./test/fixtures/pagination/data/products.json']);
+			}).then(function (result) {
+				assert.equal(result.files.length, 5);
+			});
+
+		});
+
+
+		it('should fail a view whose pagination data is missing', function () {
+
+			var assembler = assemble.createAssembler(paginationOptions);
+
+			return assembler.setup().then(function () {
+				return assembler.renderPages('./test/fixtures/pagination/views/catalog.html', { pagination: { data: 'nope' } });
+			}).then(function () {
+				throw new Error('expected rendering to fail');
+			}, function (e) {
+				assert.equal(e.phase, 'view');
+				assert.ok(e.message.indexOf('Pagination data "nope" not found') > -1);
+			});
+
+		});
+
+	});
+
+
+	describe('layout inheritance', function () {
+
+		var blockOptions = _.assign({}, options, {
+			layout: 'base',
+			layouts: './test/fixtures/blocks/layouts/*',
+			views: './test/fixtures/blocks/views/*'
+		});
+
+		var warn = console.warn;
+		var warnings;
+
+		var page = function (file) {
+			return minify(fs.readFileSync(file, 'utf-8'), { collapseWhitespace: true });
+		};
+
+		beforeEach(function () {
+			warnings = [];
+			console.warn = function (message) {
+				warnings.push(message.replace(/\u001b\[\d+m/g, ''));
+			};
+		});
+
+		afterEach(function () {
+			console.warn = warn;
+		});
+
+		it('should fill blocks through a layout and the layout it extends', function () {
+
+			return assemble(blockOptions).then(function () {
+				assert.equal(page('./test/output/guide.html'), '<html><head><title>Guide | Butter</title><link rel="stylesheet" href="docs.css"></head>' +
+					'<body><main class="docs"><h1>Guide</h1></main><aside><nav>Guide</nav></aside><script src="main.js"></script></body></html>');
+			});
+
+		});
+
+
+		it('should merge layout data under the view and warn about blocks no layout defines', function () {
+
+			return assemble(blockOptions).then(function () {
+				assert.equal(page('./test/output/plain.html'), '<html><head><title>Plain | Override</title><link rel="stylesheet" href="main.css"></head>' +
+					'<body><h1>Plain</h1></body></html>');
+				assert.deepEqual(warnings, [
+					'Warning (butter-assemble): View ./test/fixtures/blocks/views/plain.html fills block "footer" its layouts don\'t define'
+				]);
+			});
+
+		});
+
+
+		it('should re-render views using a layout when a layout it extends changes', function () {
+
+			var assembler = assemble.createAssembler(blockOptions);
+
+			return assembler.build().then(function () {
+				return assembler.rebuild(['./test/fixtures/blocks/layouts/docs.html']);
+			}).then(function (result) {
+				assert.deepEqual(result.files, ['test/output/guide.html']);
+				return assembler.rebuild(['./test/fixtures/blocks/layouts/base.html']);
+			}).then(function (result) {
+				assert.deepEqual(result.files, ['test/output/guide.html', 'test/output/plain.html']);
+			});
+
+		});
+
+
+		it('should throw for layouts that extend themselves', function () {
+
+			var assembler = assemble.createAssembler(blockOptions);
+
+			return assembler.setup().then(function () {
+				assert.throws(function () {
+					assembler.renderString('<p></p>', {}, { layout: 'loop-a' });
+				}, /Layout "loop-a" extends itself: "loop-a" > "loop-b" > "loop-a"/);
+			});
+
+		});
+
+	});
+
+
+	describe('markdown views', function () {
+
+		var markdownOptions = _.assign({}, options, {
+			layout: 'base',
+			layouts: './test/fixtures/blocks/layouts/*',
+			views: './test/fixtures/markdown/views/**/*'
+		});
+
+		it('should render Handlebars, then markdown, then the layout', function () {
+
+			return assemble(markdownOptions).then(function (result) {
+				var output = minify(fs.readFileSync('./test/output/guides/buttons.html', 'utf-8'), { collapseWhitespace: true });
+
+				assert.deepEqual(result.files, ['test/output/guides/buttons.html']);
+				assert.ok(output.indexOf('<title>Buttons | Butter</title><meta name="section" content="guides">') > -1);
+				assert.ok(output.indexOf('<h1>Buttons</h1><p>Use a <em>button</em> for actions, not links:</p>') > -1);
+				assert.ok(output.indexOf('<a href="#" class="button">Click Me, Guide</a>') > -1);
+				assert.ok(output.indexOf('<pre><code class="language-html"><span class="hl-tag">&lt;a</span> <span class="hl-attr">class</span>=' +
+					'<span class="hl-string">&quot;button&quot;</span><span class="hl-tag">&gt;</span>Guide') > -1);
+			});
+
+		});
+
+	});
+
+
+	describe('docs', function () {
+
+		var docsOptions = _.assign({}, options, {
+			docs: './test/fixtures/docs-nested/**/*.md'
+		});
+
+		var assembler = assemble.createAssembler(docsOptions);
+
+		before(function () {
+			return assembler.setup();
+		});
+
+		it('should order docs by front-matter, then number prefixes, and nest them by directory', function () {
+
+			var docs = assembler.assembly.docs;
+
+			assert.deepEqual(_.keys(docs), ['zebra', 'intro', 'guides', 'api']);
+			assert.deepEqual(_.keys(docs.guides.items), ['setup', 'deploy']);
+			assert.equal(docs.intro.name, 'Introduction');
+			assert.equal(docs.intro.category, 'basics');
+			assert.equal(docs.api.items.intro.id, 'api.intro');
+			assert.ok(!docs.draft);
+			assert.equal(_.find(assembler.manifest().docs, { id: 'draft' }).hidden, true);
+
+		});
+
+
+		it('should give headings unique ids and build a table of contents', function () {
+
+			var intro = assembler.assembly.docs.intro;
+
+			assert.ok(intro.content.indexOf('<h2 id="usage">Usage</h2>') > -1);
+			assert.ok(intro.content.indexOf('<h2 id="usage-2">Usage</h2>') > -1);
+			assert.deepEqual(_.map(intro.headings, 'id'), ['intro', 'install', 'usage', 'options', 'usage-2']);
+			assert.equal(intro.toc, '<ul><li><a href="#intro">Intro</a><ul><li><a href="#install">Install</a></li>' +
+				'<li><a href="#usage">Usage</a><ul><li><a href="#options">Options</a></li></ul></li><li><a href="#usage-2">Usage</a></li></ul></li></ul>');
+
+		});
+
+
+		it('should link each doc to the previous and next ones across collections', function () {
+
+			var docs = assembler.assembly.docs;
+
+			assert.strictEqual(docs.zebra.prev, null);
+			assert.deepEqual(docs.intro.next, { id: 'guides.setup', name: 'Setup' });
+			assert.deepEqual(docs.guides.items.deploy.next, { id: 'api.intro', name: 'Intro' });
+			assert.strictEqual(docs.api.items.intro.next, null);
+
+		});
+
+	});
+
+
+	describe('material embeds', function () {
+
+		var embedOptions = _.assign({}, options, {
+			materials: './test/fixtures/embeds/materials/*',
+			views: './test/fixtures/embeds/views/*',
+			docs: './test/fixtures/embeds/docs/*.md'
+		});
+
+		var assembler = assemble.createAssembler(embedOptions);
+
+		before(function () {
+			return assembler.setup();
+		});
+
+		it('should render embedded materials in docs next to their highlighted source and HTML', function () {
+
+			var content = assembler.assembly.docs.usage.content;
+
+			assert.ok(content.indexOf('<figure class="butter-embed" data-material="button">\n<div class="butter-embed__preview">\n<button class="button button--primary">Go</button>\n</div>') > -1);
+			assert.ok(content.indexOf('<pre class="butter-embed__source"><code class="language-handlebars"><span class="hl-tag">&lt;button</span> ' +
+				'<span class="hl-attr">class</span>=<span class="hl-string">&quot;button button--{{modifier}}&quot;</span>') > -1);
+			assert.ok(content.indexOf('<pre class="butter-embed__html"><code class="language-html"><span class="hl-tag">&lt;span</span> ' +
+				'<span class="hl-attr">class</span>=<span class="hl-string">&quot;tag&quot;</span><span class="hl-tag">&gt;</span>Sign up') > -1);
+			assert.ok(content.indexOf('<pre><code class="language-html"><span class="hl-tag">&lt;button</span><span class="hl-tag">&gt;</span>Go') > -1);
+			assert.deepEqual(_.find(assembler.manifest().docs, { id: 'usage' }).embeds, ['button', 'tag']);
+
+		});
+
+
+		it('should render embeds in notes once every material is registered', function () {
+
+			var button = assembler.assembly.materials.materials.items.button;
+
+			assert.ok(button.notes.indexOf('<div class="butter-embed__preview">\n<span class="tag">New</span>\n</div>') > -1);
+			assert.ok(button.variants.primary.notes.indexOf('<span class="tag">Main</span>') > -1);
+			assert.deepEqual(_.find(assembler.manifest().materials, { id: 'button' }).embeds, ['tag']);
+
+		});
+
+
+		it('should re-render docs embedding a changed material', function () {
+
+			return assembler.rebuild(['./test/fixtures/embeds/materials/tag.html']).then(function (result) {
+				assert.deepEqual(result.files, ['test/output/docs.html']);
+				assert.ok(assembler.assembly.materials.materials.items.button.notes.indexOf('<span class="tag">New</span>') > -1);
+			});
+
+		});
+
+
+		it('should fail docs that embed missing materials', function () {
+
+			return assemble(_.assign({}, embedOptions, { docs: './test/fixtures/embeds/broken/*.md', logErrors: false })).then(function () {
+				throw new Error('expected assembly to fail');
+			}, function (e) {
+				assert.equal(e.phase, 'doc');
+				assert.ok(/The "material nope" block on line 3: Material "nope" not found/.test(e.message));
+			});
+
+		});
+
+	});
+
+
+	describe('material code', function () {
+
+		it('should give each material item its source, rendered and escaped HTML, and path', function () {
+
+			var assembler = assemble.createAssembler(options);
+
+			return assembler.setup().then(function () {
+				var form = assembler.assembly.materials['02-structures'].items['02-form'];
+
+				assert.equal(form.source.split('\n')[3], '\t{{> button name="Universe"}}');
+				assert.equal(form.html, '<form action="">\n  <p></p>\n  <input type="text" placeholder="Luke">\n  <a href="#" class="button">Click Me, Universe</a>\n</form>');
+				assert.equal(form.escaped.split('\n')[3], '  &lt;a href=&quot;#&quot; class=&quot;button&quot;&gt;Click Me, Universe&lt;/a&gt;');
+				assert.equal(form.path, '02-structures/02-form.html');
+			});
+
+		});
+
+
+		it('should leave out the parts that are turned off and fill in prop defaults', function () {
+
+			var assembler = assemble.createAssembler(_.assign({}, options, {
+				materials: './test/fixtures/props/materials/*',
+				views: './test/fixtures/props/views/*',
+				code: { source: false, path: false }
+			}));
+
+			return assembler.setup().then(function () {
+				var button = assembler.assembly.materials.materials.items.button;
+
+				assert.equal(button.html, '<button class="button button--medium"></button>');
+				assert.equal(button.escaped, '&lt;button class=&quot;button button--medium&quot;&gt;&lt;/button&gt;');
+				assert.ok(!button.hasOwnProperty('source'));
+				assert.ok(!button.hasOwnProperty('path'));
+			});
+
+		});
+
+
+		it('should render the code of materials including a changed material again', function () {
+
+			// materials written during the test, so they can change
+			var dir = './test/output/code-materials';
+			var button = dir + '/button.html';
+
+			fs.mkdirSync(dir, { recursive: true });
+			fs.writeFileSync(button, '<a class="button">{{label}}</a>\n');
+			fs.writeFileSync(dir + '/card.html', '<div class="card">{{> button label="Open"}}</div>\n');
+
+			var assembler = assemble.createAssembler(_.assign({}, options, { materials: dir + '/*', views: [] }));
+
+			return assembler.setup().then(function () {
+				assert.equal(assembler.assembly.materials['code-materials'].items.card.html, '<div class="card"><a class="button">Open</a></div>');
+
+				fs.writeFileSync(button, '<button class="button">{{label}}</button>\n');
+				return assembler.rebuild([button]);
+			}).then(function () {
+				assert.equal(assembler.assembly.materials['code-materials'].items.card.html, '<div class="card"><button class="button">Open</button></div>');
+			});
+
+		});
+
+
+		it('should leave code out entirely when turned off', function () {
+
+			var assembler = assemble.createAssembler(_.assign({}, options, { code: false }));
+
+			return assembler.setup().then(function () {
+				var button = assembler.assembly.materials['01-components'].items.button;
+
+				assert.deepEqual(_.intersection(_.keys(button), ['source', 'html', 'escaped', 'path']), []);
+			});
+
+		});
+
+	});
+
+
+	describe('markdown option', function () {
+
+		var markdownOptions = _.assign({}, options, {
+			helpers: {},
+			docs: './test/fixtures/embeds/docs/*.md',
+			materials: './test/fixtures/embeds/materials/*',
+			views: []
+		});
+
+		it('should configure markdown-it with settings and plugins with their options', function () {
+
+			var rule = function (md, settings) {
+				md.renderer.rules.hr = function () {
+					return '<hr class="' + settings.className + '">\n';
+				};
+			};
+
+			var assembler = assemble.createAssembler(_.assign({}, markdownOptions, {
+				markdown: { typographer: true, plugins: [[rule, { className: 'rule' }]] }
+			}));
+
+			return assembler.setup().then(function () {
+				assert.equal(assembler.renderString('{{#markdown}}"Quoted" -- text\n\n---{{/markdown}}'),
+					'<p>“Quoted” – text</p>\n<hr class="rule">\n');
+			});
+
+		});
+
+
+		it('should reject plugins that are not functions or that throw', function () {
+
+			var failing = function () {
+				throw new Error('Plugin broke');
+			};
+
+			return Promise.all([[42], [[42, {}]], [failing]].map(function (plugins) {
+				return assemble(_.assign({}, markdownOptions, { markdown: { plugins: plugins }, logErrors: false })).then(function () {
+					throw new Error('expected assembly to fail');
+				}, function (e) {
+					return e;
+				});
+			})).then(function (failures) {
+				assert.deepEqual(_.map(failures, 'phase'), ['options', 'options', 'options']);
+				assert.ok(failures[0].message.indexOf('Option "markdown.plugins[0]" should be function or array, got number') > -1);
+				assert.ok(failures[1].message.indexOf('Option "markdown.plugins[0]" should be a plugin function or a [plugin, options] pair') > -1);
+				assert.ok(failures[2].message.indexOf('Plugin broke') > -1);
+			});
+
+		});
+
+
+		it('should use a highlight function for fences and embeds', function () {
+
+			var assembler = assemble.createAssembler(_.assign({}, markdownOptions, {
+				markdown: {
+					highlight: function (code, lang) {
+						return '[' + lang + ']';
+					}
+				}
+			}));
+
+			return assembler.setup().then(function () {
+				var content = assembler.assembly.docs.usage.content;
+
+				assert.ok(content.indexOf('<pre><code class="language-html">[html]</code></pre>') > -1);
+				assert.ok(content.indexOf('<code class="language-handlebars">[handlebars]</code>') > -1);
+			});
+
+		});
+
+
+		it('should only escape code when highlighting is off', function () {
+
+			var assembler = assemble.createAssembler(_.assign({}, markdownOptions, { markdown: { highlight: false } }));
+
+			return assembler.setup().then(function () {
+				var content = assembler.assembly.docs.usage.content;
+
+				assert.ok(content.indexOf('<pre><code class="language-html">&lt;button&gt;Go&lt;/button&gt;') > -1);
+				assert.ok(content.indexOf('<code class="language-html">&lt;span class=&quot;tag&quot;&gt;Sign up&lt;/span&gt;</code>') > -1);
+			});
+
+		});
+
+
+		it('should render indented blocks and values with the markdown helper', function () {
+
+			var assembler = assemble.createAssembler(markdownOptions);
+
+			return assembler.setup().then(function () {
+				var html = assembler.renderString('<div>\n\t{{#markdown}}\n\t\t## {{title}}\n\n\t\tSome *text*.\n\t{{/markdown}}\n\t{{markdown intro}}\n</div>', {
+					title: 'Usage',
+					intro: 'A [link](#)'
+				});
+
+				assert.equal(minify(html, { collapseWhitespace: true }), '<div><h2>Usage</h2><p>Some <em>text</em>.</p><p>A <a href="#">link</a></p></div>');
+			});
+
+		});
+
+
+		it('should let a user helper named markdown win', function () {
+
+			var assembler = assemble.createAssembler(_.assign({}, markdownOptions, {
+				helpers: {
+					markdown: function () {
+						return 'mine';
+					}
+				}
+			}));
+
+			return assembler.setup().then(function () {
+				assert.equal(assembler.renderString('{{#markdown}}# Hi{{/markdown}}'), 'mine');
+			});
 
-		assert.equal(output, expected);
-		done();
+		});
 
 	});
 